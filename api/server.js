@@ -6,6 +6,9 @@ const { version } = require('./package.json');
 const mqtt = require('./src/util/mqtt.util');
 const storage = require('./src/util/storage.util');
 const database = require('./src/util/db.util');
+const presence = require('./src/util/presence.util');
+const notification = require('./src/util/notification.util');
+const breaker = require('./src/util/circuit-breaker.util');
 const config = require('./src/constants/config');
 const shutdown = require('./src/util/shutdown.util');
 const heartbeat = require('./src/util/heartbeat.util');
@@ -19,6 +22,9 @@ module.exports.start = async () => {
   console.verbose(config());
   validate(config());
   await database.init();
+  presence.init();
+  notification.init();
+  breaker.init();
   const server = http.Server(require('./src/app')).listen(SERVER.PORT, async () => {
     console.verbose(`api listening on :${SERVER.PORT}`);
     if (opencv.shouldLoad()) await opencv.load();
@@ -6,6 +6,8 @@ const traverse = require('traverse');
 const yamlTypes = require('../util/yaml-types.util');
 const { objectKeysToUpperCase } = require('../util/object.util');
 const { detectors: DETECTORS, notify: NOTIFY, ...DEFAULTS } = require('./defaults');
+// merging replaces these, they're kept for topics that are set as objects without a topic
+const MQTT_TOPICS = { ...DEFAULTS.mqtt.topics };
 const { core: SYSTEM_CORE } = require('./system');
 const { version } = require('../../package.json');
 
@@ -64,18 +66,31 @@ module.exports = () => {
   if (!CONFIG.frigate) delete DEFAULTS.frigate;
   if (!CONFIG.mqtt) delete DEFAULTS.mqtt;
   CONFIG = _.isEmpty(CONFIG) ? DEFAULTS : _.mergeWith(DEFAULTS, CONFIG, customizer);
-  if (CONFIG?.notify?.gotify)
-    CONFIG.notify.gotify = _.mergeWith(NOTIFY.gotify, CONFIG.notify.gotify, customizer);
-  if (CONFIG?.notify?.telegram)
-    CONFIG.notify.telegram = _.mergeWith(NOTIFY.telegram, CONFIG.notify.telegram, customizer);
+  Object.entries(CONFIG.mqtt?.topics || {}).forEach(([key, value]) => {
+    if (_.isPlainObject(value) && value.topic === undefined) value.topic = MQTT_TOPICS[key];
+  });
+  Object.keys(NOTIFY).forEach((key) => {
+    if (!CONFIG?.notify) return;
+    if (_.isPlainObject(NOTIFY[key]) && CONFIG.notify[key])
+      CONFIG.notify[key] = _.mergeWith(NOTIFY[key], CONFIG.notify[key], customizer);
+    else if (!_.isPlainObject(NOTIFY[key]) && CONFIG.notify[key] === undefined)
+      CONFIG.notify[key] = NOTIFY[key];
+  });
 
   let needsOpenCv = false;
   if (CONFIG.detectors)
     for (const [key] of Object.entries(CONFIG.detectors)) {
       CONFIG.detectors[key] = _.mergeWith(DETECTORS[key], CONFIG.detectors[key], customizer);
-      if (CONFIG.detectors[key].opencv_face_required) needsOpenCv = true;
+      const detector = CONFIG.detectors[key];
+      if (detector.opencv_face_required || detector.opencv_face_crop?.enabled) needsOpenCv = true;
     }
 
+  if (
+    CONFIG.detect?.quality?.enabled ||
+    Object.values(CONFIG.cameras || {}).some((camera) => camera?.detect?.quality?.enabled)
+  )
+    needsOpenCv = true;
+
   if (typeof CONFIG.ui.path === 'string') {
     if (CONFIG.ui.path.slice(-1) === '/') CONFIG.ui.path = CONFIG.ui.path.slice(0, -1);
     if (CONFIG.ui.path && CONFIG.ui.path.slice(0, 1) !== '/') CONFIG.ui.path = `/${CONFIG.ui.path}`;
@@ -113,7 +128,10 @@ module.exports.detect = (camera) => {
   if (!camera) return objectKeysToUpperCase(detect);
   delete detect.match.purge;
   delete detect.unknown.purge;
-  _.mergeWith(detect, CONFIG.cameras?.[camera]?.detect || {}, customizer);
+  // camera overrides replace lists like chain stages instead of merging them by index
+  _.mergeWith(detect, CONFIG.cameras?.[camera]?.detect || {}, (objValue, srcValue) =>
+    Array.isArray(srcValue) ? srcValue : customizer(objValue, srcValue)
+  );
   return objectKeysToUpperCase(detect);
 };
 
@@ -133,8 +151,8 @@ module.exports.notify_services = () => {
   if (CONFIG.notify) {
     // Iterate over each key-value pair in the 'notify' object
     for (const [notify, value] of Object.entries(CONFIG.notify)) {
-      // Check if the value associated with the key is not a boolean
-      if (typeof value !== 'boolean') {
+      // Check if the value is a service and not a setting like only_unknown or rules
+      if (_.isPlainObject(value)) {
         // Push the key (notify) into the results array
         results.push(notify);
       }
@@ -158,6 +176,8 @@ module.exports.frigate = ({ id, camera, topic }) => {
     events,
     attempts,
     image,
+    crop,
+    backfill,
     stop_on_match: stopOnMatch,
     min_area: minArea,
     device_tracker_timeout: deviceTrackerTimeout,
@@ -166,6 +186,7 @@ module.exports.frigate = ({ id, camera, topic }) => {
 
   _.mergeWith(image, events?.[camera]?.image || {}, customizer);
   _.mergeWith(attempts, events?.[camera]?.attempts || {}, customizer);
+  _.mergeWith(crop, events?.[camera]?.crop || {}, customizer);
 
   const useCrop = masks(camera) || crop_snapshot(camera) ? '' : '&crop=1';
   const snapshot = `${topicURL(topic)}/api/events/${id}/snapshot.jpg?h=${image.height}${useCrop}`;
@@ -176,6 +197,8 @@ module.exports.frigate = ({ id, camera, topic }) => {
     url: { frigate: url, snapshot, latest },
     login: { login: username, password },
     attempts,
+    crop,
+    backfill,
     stop_on_match: stopOnMatch,
     min_area: minArea,
     device_tracker_timeout: deviceTrackerTimeout,
@@ -19,11 +19,58 @@ module.exports = {
       purge: 8,
       min_area: 0,
     },
+    dedupe: {
+      enabled: false,
+      size: 8,
+      threshold: 2,
+      cache: 10,
+    },
+    quality: {
+      enabled: false,
+      min_sharpness: 0,
+      tie_breaker: 'confidence',
+    },
+    fusion: {
+      enabled: false,
+      iou: 0.3,
+      min_agreement: 1,
+    },
+    voting: {
+      enabled: false,
+      min_frames: 2,
+      min_score: 0,
+    },
+    chain: {
+      enabled: false,
+      stages: [],
+      fallback: {
+        no_match: true,
+        unknown: true,
+        uncertain: { min: 0, max: 0 },
+      },
+    },
+  },
+  queue: {
+    concurrency: 2,
+    per_camera: 1,
+    max_pending: 50,
+  },
+  circuit_breaker: {
+    enabled: true,
+    threshold: 5,
+    cool_off: 60,
+  },
+  presence: {
+    home: 'home',
+    away: 'not_home',
+    rules: [],
   },
   time: { timezone: 'UTC' },
   frigate: {
     attempts: { latest: 10, snapshot: 10, mqtt: true, delay: 0 },
     image: { height: 500 },
+    crop: { enabled: false, target: 'person', margin: 0.25 },
+    backfill: { page_size: 50, delay: 1 },
     labels: ['person'],
     update_sub_labels: false,
     stop_on_match: true,
@@ -35,10 +82,14 @@ module.exports = {
     protocol: 'mqtt',
     port: -1,
     tls: {},
+    images: { enabled: false, max_width: 640, quality: 80 },
     topics: {
       frigate: 'frigate/events',
       matches: 'double-take/matches',
       cameras: 'double-take/cameras',
+      detectors: 'double-take/detectors',
+      events: 'double-take/events',
+      commands: 'double-take/cmd',
       homeassistant: 'homeassistant',
     },
   },
@@ -53,26 +104,70 @@ module.exports = {
       det_prob_threshold: 0.8,
       timeout: 15,
       opencv_face_required: false,
+      opencv_face_crop: { enabled: false, padding: 0.25 },
+      weight: 1,
     },
     deepstack: {
       timeout: 15,
       opencv_face_required: false,
+      opencv_face_crop: { enabled: false, padding: 0.25 },
+      weight: 1,
     },
     aiserver: {
       timeout: 15,
       opencv_face_required: false,
+      opencv_face_crop: { enabled: false, padding: 0.25 },
+      weight: 1,
     },
     facebox: {
       timeout: 15,
       opencv_face_required: false,
+      opencv_face_crop: { enabled: false, padding: 0.25 },
+      weight: 1,
     },
     rekognition: {
       collection_id: 'double-take',
       opencv_face_required: true,
+      opencv_face_crop: { enabled: false, padding: 0.25 },
+      weight: 1,
+    },
+    fixture: {
+      rules: [],
+      faces: [],
+      box: { top: 0, left: 0, width: 200, height: 200 },
+      latency: 0,
+      errors: { rate: 0, message: 'fixture error' },
+      opencv_face_required: false,
+      opencv_face_crop: { enabled: false, padding: 0.25 },
+      weight: 1,
+    },
+    http: {
+      timeout: 15,
+      headers: {},
+      recognize: {
+        method: 'post',
+        field: 'image',
+        fields: {},
+        response: {
+          faces: '$.faces',
+          name: '$.name',
+          confidence: '$.confidence',
+          confidence_scale: 1,
+          unknown: ['unknown'],
+          box: { format: 'xyxy', path: '$.box' },
+        },
+      },
+      train: { method: 'post', field: 'image', fields: {} },
+      remove: { method: 'post', fields: {} },
+      opencv_face_required: false,
+      opencv_face_crop: { enabled: false, padding: 0.25 },
+      weight: 1,
     },
   },
   notify: {
     only_unknown: false,
+    retries: 5,
+    retry_delay: 30,
     types: ['snapshot', 'latest', 'mqtt', 'frigate', 'manual'],
     gotify: {
       priority: 10,
@@ -80,6 +175,27 @@ module.exports = {
     telegram: {
       priority: 5,
     },
+    email: {
+      port: 587,
+      security: 'starttls',
+    },
+    ntfy: {
+      url: 'https://ntfy.sh',
+      priority: 'default',
+      tags: ['bust_in_silhouette'],
+      unknown: {
+        priority: 'high',
+        tags: ['warning'],
+      },
+    },
+    pushover: {
+      priority: 0,
+      retry: 60,
+      expire: 3600,
+      unknown: {
+        priority: 1,
+      },
+    },
   },
   logs: {
     level: 'info',
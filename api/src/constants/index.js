@@ -1,4 +1,19 @@
 const config = require('./config');
 const { objectKeysToUpperCase } = require('../util/object.util');
 
-module.exports = () => objectKeysToUpperCase(config());
+module.exports = () => {
+  const constants = objectKeysToUpperCase(config());
+  // mqtt topics can be objects with qos and retain, their options are moved to TOPIC_OPTIONS so
+  // MQTT.TOPICS only holds the topics
+  if (constants.MQTT?.TOPICS) {
+    constants.MQTT.TOPIC_OPTIONS = {};
+    Object.entries(constants.MQTT.TOPICS).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const { TOPIC, ...options } = value;
+        constants.MQTT.TOPICS[key] = TOPIC;
+        constants.MQTT.TOPIC_OPTIONS[key] = options;
+      }
+    });
+  }
+  return constants;
+};
@@ -0,0 +1,22 @@
+const backfill = require('../util/backfill.util');
+const frigate = require('../util/frigate.util');
+const { BAD_REQUEST, CONFLICT } = require('../constants/http-status');
+
+module.exports.get = (req, res) => res.send(backfill.status());
+
+module.exports.start = (req, res) => {
+  if (!frigate.instances().length)
+    return res.status(BAD_REQUEST).error('Frigate URL not configured');
+  const { after, before } = req.body;
+  if (after >= before) return res.status(BAD_REQUEST).error('after must be earlier than before');
+
+  const job = backfill.start(req.body);
+  if (!job) return res.status(CONFLICT).error('backfill already running');
+  res.send(job);
+};
+
+module.exports.cancel = (req, res) => {
+  const job = backfill.cancel();
+  if (!job) return res.status(BAD_REQUEST).error('no backfill running');
+  res.send(job);
+};
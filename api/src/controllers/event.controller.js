@@ -0,0 +1,67 @@
+const database = require('../util/db.util');
+const { jwt } = require('../util/auth.util');
+const { AUTH, TOKEN, UI } = require('../constants')();
+const { NOT_FOUND } = require('../constants/http-status');
+
+const format = ({ zones, identities, votes, ...event }) => ({
+  ...event,
+  zones: JSON.parse(zones),
+  identities: JSON.parse(identities),
+  votes: votes ? JSON.parse(votes) : null,
+});
+
+module.exports.get = (req, res) => {
+  const limit = UI.PAGINATION.LIMIT;
+  const { page, camera, name } = req.query;
+  const db = database.connect();
+
+  const where = [];
+  const params = [];
+  if (camera) {
+    where.push('camera = ?');
+    params.push(camera);
+  }
+  if (name) {
+    where.push(
+      `EXISTS (SELECT 1 FROM json_each(identities) WHERE json_extract(value, '$.name') = ?)`
+    );
+    params.push(name);
+  }
+  const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const [total] = db.prepare(`SELECT COUNT(*) count FROM event ${filter}`).all(params);
+  const events = db
+    .prepare(
+      `SELECT event.*, (SELECT COUNT(*) FROM match WHERE match.eventId = event.id) attempts
+        FROM event ${filter}
+        ORDER BY startedAt DESC
+        LIMIT ?,?`
+    )
+    .all(...params, limit * (page - 1), limit);
+
+  res.send({ total: total.count, limit, events: events.map(format) });
+};
+
+module.exports.id = (req, res) => {
+  const event = database.get.event(req.params.id);
+  if (!event) return res.status(NOT_FOUND).error('event not found');
+
+  const db = database.connect();
+  const matches = db
+    .prepare(
+      'SELECT id, filename, response, createdAt FROM match WHERE eventId = ? ORDER BY createdAt ASC'
+    )
+    .all(event.id)
+    .map(({ response, ...match }) => ({
+      ...match,
+      file: { key: `matches/${match.filename}`, filename: match.filename },
+      response: JSON.parse(response),
+    }));
+
+  res.send({
+    ...format(event),
+    matches,
+    token:
+      AUTH && matches.length ? jwt.sign({ route: 'storage' }, { expiresIn: TOKEN.IMAGE }) : null,
+  });
+};
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const filesystem = require('../util/fs.util');
 const database = require('../util/db.util');
+const mqtt = require('../util/mqtt.util');
+const presence = require('../util/presence.util');
 const { resync } = require('../util/db.util');
 const { STORAGE } = require('../constants')();
 
@@ -22,6 +24,8 @@ module.exports.folders = {
     const db = database.connect();
     db.prepare('DELETE FROM file WHERE name = ?').run(name);
     db.prepare('DELETE FROM train WHERE name = ?').run(name);
+    presence.remove(name);
+    mqtt.forget(name);
     res.send({ success: true });
   },
 };
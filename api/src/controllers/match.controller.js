@@ -15,7 +15,7 @@ const format = async (matches) => {
   matches = await Promise.all(
     matches.map(async (obj) => {
       const { id, filename, event, response, isTrained } = obj;
-      const { camera, type, zones, updatedAt } = JSON.parse(event);
+      const { id: eventId, camera, type, zones, updatedAt } = JSON.parse(event);
       const key = `matches/${filename}`;
       const { width, height } = await sizeOf(
         fs.createReadStream(`${STORAGE.MEDIA.PATH}/${key}`)
@@ -23,6 +23,7 @@ const format = async (matches) => {
 
       return {
         id,
+        eventId: obj.eventId || eventId || null,
         camera,
         type,
         zones,
@@ -47,11 +48,24 @@ module.exports.post = async (req, res) => {
   const limit = UI.PAGINATION.LIMIT;
   const { sinceId } = req.body;
   const { page } = req.query;
-  const { filters } = req.body;
+  const { filters, file } = req.body;
   const tmptable = crypto.createHash('md5').digest('hex').toString();
 
   const db = database.connect();
 
+  if (file) {
+    const matches = db
+      .prepare(
+        `SELECT * FROM match
+          LEFT JOIN (SELECT filename as isTrained FROM train GROUP BY filename) train ON train.isTrained = match.filename
+          WHERE match.filename = ?`
+      )
+      .bind(file)
+      .all();
+
+    return res.send({ total: matches.length, limit, matches: await format(matches) });
+  }
+
   if (!filters || !Object.keys(filters).length) {
     const [total] = db.prepare(`SELECT COUNT(*) count FROM match`).all();
     const matches = db
@@ -71,8 +85,8 @@ module.exports.post = async (req, res) => {
     filters.confidence === 0 ? `OR json_extract(value, '$.confidence') IS NULL` : '';
 
   db.prepare(
-    `CREATE TEMPORARY TABLE IF NOT EXISTS ${tmptable} AS SELECT t.id, t.createdAt, t.filename, t.event, response, detector, value FROM (
-    SELECT match.id, match.createdAt, match.filename, event, json_extract(value, '$.detector') detector, json_extract(value, '$.results') results, match.response
+    `CREATE TEMPORARY TABLE IF NOT EXISTS ${tmptable} AS SELECT t.id, t.createdAt, t.filename, t.eventId, t.event, response, detector, value FROM (
+    SELECT match.id, match.createdAt, match.filename, match.eventId, event, json_extract(value, '$.detector') detector, json_extract(value, '$.results') results, match.response
     FROM match, json_each( match.response)
     ) t, json_each(t.results)
   WHERE json_extract(value, '$.name') IN (${database.params(filters.names)})
@@ -134,6 +148,7 @@ module.exports.delete = async (req, res) => {
       .all();
 
     db.prepare(`DELETE FROM match WHERE id IN (${database.params(ids)})`).run(ids);
+    database.delete.orphanedEvents();
 
     files.forEach(({ filename }) => {
       filesystem.delete(`${STORAGE.MEDIA.PATH}/matches/${filename}`);
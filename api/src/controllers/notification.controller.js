@@ -0,0 +1,47 @@
+const database = require('../util/db.util');
+const notification = require('../util/notification.util');
+const { UI } = require('../constants')();
+const { NOT_FOUND } = require('../constants/http-status');
+
+module.exports.get = (req, res) => {
+  const limit = UI.PAGINATION.LIMIT;
+  const { page, service, status, camera, rule } = req.query;
+  const db = database.connect();
+
+  const where = [];
+  const params = [];
+  Object.entries({ service, status, camera, rule }).forEach(([column, value]) => {
+    if (!value) return;
+    where.push(`${column} = ?`);
+    params.push(value);
+  });
+  const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const [total] = db.prepare(`SELECT COUNT(*) count FROM notification ${filter}`).all(params);
+  const notifications = db
+    .prepare(
+      `SELECT id, service, rule, eventId, filename, camera, summary, status, error, retries, nextRetryAt, createdAt, updatedAt
+        FROM notification ${filter}
+        ORDER BY id DESC
+        LIMIT ?,?`
+    )
+    .all(...params, limit * (page - 1), limit);
+  const services = db
+    .prepare('SELECT DISTINCT service FROM notification ORDER BY service')
+    .all()
+    .map((row) => row.service);
+
+  res.send({ total: total.count, limit, services, notifications });
+};
+
+module.exports.id = (req, res) => {
+  const result = notification.get(req.params.id);
+  if (!result) return res.status(NOT_FOUND).error('notification not found');
+  res.send(result);
+};
+
+module.exports.resend = async (req, res) => {
+  const resent = await notification.resend(req.params.id);
+  if (!resent) return res.status(NOT_FOUND).error('notification not found');
+  res.send(resent);
+};
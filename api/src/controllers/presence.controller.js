@@ -0,0 +1,10 @@
+const presence = require('../util/presence.util');
+const { NOT_FOUND } = require('../constants/http-status');
+
+module.exports.get = (req, res) => res.send(presence.status());
+
+module.exports.name = (req, res) => {
+  const person = presence.get(req.params.name);
+  if (!person) return res.status(NOT_FOUND).error(`${req.params.name} has not been seen`);
+  res.send(person);
+};
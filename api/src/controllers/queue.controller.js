@@ -0,0 +1,3 @@
+const queue = require('../util/queue.util');
+
+module.exports.get = (req, res) => res.send(queue.status());
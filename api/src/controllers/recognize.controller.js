@@ -1,3 +1,4 @@
+const path = require('path');
 const perf = require('execution-time')();
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
@@ -10,10 +11,15 @@ const frigate = require('../util/frigate.util');
 const { jwt } = require('../util/auth.util');
 const mqtt = require('../util/mqtt.util');
 const { emit } = require('../util/socket.util');
-const { BAD_REQUEST } = require('../constants/http-status');
+const { BAD_REQUEST, SERVICE_UNAVAILABLE } = require('../constants/http-status');
 const DETECTORS = require('../constants/config').detectors();
 const config = require('../constants/config');
 const schedule = require('../util/schedule.util');
+const queue = require('../util/queue.util');
+const events = require('../util/event.util');
+const voting = require('../util/voting.util');
+const pause = require('../util/pause.util');
+const presence = require('../util/presence.util');
 const { AUTH, TOKEN, SERVER, STORAGE, UI } = require('../constants')();
 const fs = require('../util/fs.util');
 
@@ -22,8 +28,6 @@ const { IDS, MATCH_IDS } = {
   MATCH_IDS: [],
 };
 
-let PROCESSING = false;
-
 module.exports.test = async (req, res) => {
   const promises = [];
   for (const detector of DETECTORS) {
@@ -58,8 +62,24 @@ module.exports.start = async (req, res) => {
     if (event.type === 'frigate') {
       const { type: frigateEventType, topic } = req.body;
       const attributes = req.body.after ? req.body.after : req.body.before;
-      const { id, label, camera, area, current_zones: zones } = attributes;
-      event = { id, label, camera, area, zones, frigateEventType, topic, ...event };
+      const { id, label, camera, area, box, current_zones: zones, end_time: endTime } = attributes;
+      // newer Frigate versions list attribute boxes like faces in current_attributes
+      const objectAttributes = [attributes.current_attributes, attributes.attributes].find(
+        (value) => Array.isArray(value)
+      );
+      event = {
+        id,
+        label,
+        camera,
+        area,
+        box,
+        attributes: objectAttributes || [],
+        zones,
+        endTime: endTime || undefined,
+        frigateEventType,
+        topic,
+        ...event,
+      };
     } else {
       const { url, camera } = req.query;
 
@@ -71,20 +91,10 @@ module.exports.start = async (req, res) => {
 
     if (!DETECTORS.length) return res.status(BAD_REQUEST).error('no detectors configured');
 
-    const scheduleCheck = schedule.checks(camera);
-    if (scheduleCheck.length) {
-      console.verbose('recognition disabled due to schedule');
-      console.verbose(scheduleCheck);
-      return res
-        .status(BAD_REQUEST)
-        .send({ error: 'recognition disabled due to schedule', checks: scheduleCheck });
-    }
-
     if (event.type === 'frigate') {
       process.env.FRIGATE_LAST_EVENT = JSON.stringify({ time: time.utc(), camera });
       const check = await frigate.checks({
         ...event,
-        PROCESSING,
         IDS,
       });
       if (check !== true) {
@@ -93,102 +103,155 @@ module.exports.start = async (req, res) => {
       }
     }
 
-    console.log(`processing ${camera}: ${id}`);
-    perf.start('request');
-    PROCESSING = true;
+    if (event.frigateEventType === 'end') {
+      // wait for attempts that are still queued or running so the verdict includes them
+      await queue.settled(id);
+      const summary = events.finalize(event);
+      if (!summary) return res.status(BAD_REQUEST).error(`${id} - no attempts to finalize`);
+      if (AUTH) summary.token = jwt.sign({ route: 'storage' }, { expiresIn: TOKEN.IMAGE });
 
-    const promises = [];
+      console.log(`finalized ${camera}: ${id} after ${summary.attempts} attempt(s)`);
+      mqtt.summary(summary);
+      frigate.subLabel(event.topic, id, summary.matches);
+      return res.send(summary);
+    }
 
-    if (event.type === 'frigate') {
-      const FRIGATE = config.frigate({ id, camera, topic: event.topic });
+    // end events are finalized even when the schedule turned recognition off during the event
+    const scheduleCheck = schedule.checks(camera);
+    if (scheduleCheck.length) {
+      console.verbose('recognition disabled due to schedule');
+      console.verbose(scheduleCheck);
+      return res
+        .status(BAD_REQUEST)
+        .send({ error: 'recognition disabled due to schedule', checks: scheduleCheck });
+    }
 
-      if (FRIGATE.ATTEMPTS.LATEST)
-        promises.push(
-          polling(
-            { ...event },
-            {
-              id,
-              MATCH_IDS,
-              breakMatch: FRIGATE.STOP_ON_MATCH,
-              retries: FRIGATE.ATTEMPTS.LATEST,
-              type: 'latest',
-              url: FRIGATE.URL.LATEST,
-              delay: FRIGATE.ATTEMPTS.DELAY,
-            }
-          )
-        );
-      if (FRIGATE.ATTEMPTS.SNAPSHOT)
+    if (pause.paused(camera))
+      return res.status(BAD_REQUEST).error(`recognition paused for ${camera}`);
+
+    const run = async () => {
+      console.log(`processing ${camera}: ${id}`);
+      const startedAt = time.utc();
+      perf.start(`request-${id}`);
+
+      const promises = [];
+
+      if (event.type === 'frigate') {
+        const FRIGATE = config.frigate({ id, camera, topic: event.topic });
+        // the event box only lines up with the snapshot, latest.jpg frames are polled after the
+        // object moved and snapshots requested with crop=1 are already cropped by Frigate
+        const roi = FRIGATE.URL.SNAPSHOT.includes('crop=1')
+          ? false
+          : await frigate.roi(event, FRIGATE.CROP);
+        if (roi) console.verbose(`cropping ${camera} snapshot to ${roi.target} box for ${id}`);
+
+        if (FRIGATE.ATTEMPTS.LATEST)
+          promises.push(
+            polling(
+              { ...event },
+              {
+                id,
+                MATCH_IDS,
+                breakMatch: FRIGATE.STOP_ON_MATCH,
+                retries: FRIGATE.ATTEMPTS.LATEST,
+                type: 'latest',
+                url: FRIGATE.URL.LATEST,
+                delay: FRIGATE.ATTEMPTS.DELAY,
+              }
+            )
+          );
+        if (FRIGATE.ATTEMPTS.SNAPSHOT)
+          promises.push(
+            polling(
+              { ...event },
+              {
+                id,
+                MATCH_IDS,
+                breakMatch: FRIGATE.STOP_ON_MATCH,
+                retries: FRIGATE.ATTEMPTS.SNAPSHOT,
+                type: 'snapshot',
+                url: FRIGATE.URL.SNAPSHOT,
+                delay: FRIGATE.ATTEMPTS.DELAY,
+                roi,
+              }
+            )
+          );
+      } else {
         promises.push(
           polling(
             { ...event },
             {
               id,
               MATCH_IDS,
-              breakMatch: FRIGATE.STOP_ON_MATCH,
-              retries: FRIGATE.ATTEMPTS.SNAPSHOT,
-              type: 'snapshot',
-              url: FRIGATE.URL.SNAPSHOT,
-              delay: FRIGATE.ATTEMPTS.DELAY,
+              breakMatch,
+              retries: parseInt(manualAttempts, 10),
+              type: event.type,
+              url,
             }
           )
         );
-    } else {
-      promises.push(
-        polling(
-          { ...event },
-          {
-            id,
-            MATCH_IDS,
-            breakMatch,
-            retries: parseInt(manualAttempts, 10),
-            type: event.type,
-            url,
-          }
-        )
-      );
-    }
+      }
 
-    const { best, misses, unknowns, results, attempts, counts } = recognize.normalize(
-      await Promise.all(promises)
-    );
+      const normalized = recognize.normalize(await Promise.all(promises), { camera });
+      const { misses, unknowns, results, attempts, counts } = normalized;
+      const { matches: best, votes } = voting.apply({
+        id,
+        camera,
+        results,
+        matches: normalized.best,
+      });
+      // names voting holds back are counted on their own, they aren't unknown faces
+      counts.match = best.length;
+      if (votes) counts.pending = normalized.best.length - best.length;
 
-    const duration = parseFloat((perf.stop('request').time / 1000).toFixed(2));
-    const output = {
-      id,
-      duration,
-      timestamp: time.current(),
-      attempts,
-      camera,
-      zones,
-      counts,
-      matches: best,
-      misses,
-      unknowns,
-    };
-    if (AUTH) output.token = jwt.sign({ route: 'storage', expiresIn: TOKEN.IMAGE });
+      const duration = parseFloat((perf.stop(`request-${id}`).time / 1000).toFixed(2));
+      const output = {
+        id,
+        duration,
+        timestamp: time.current(),
+        attempts,
+        camera,
+        zones,
+        counts,
+        matches: best,
+        misses,
+        unknowns,
+      };
+      if (AUTH) output.token = jwt.sign({ route: 'storage' }, { expiresIn: TOKEN.IMAGE });
 
-    if (resultsOutput === 'all') output.results = results;
+      if (resultsOutput === 'all') output.results = results;
 
-    console.log(`done processing ${camera}: ${id} in ${duration} sec`);
+      console.log(`done processing ${camera}: ${id} in ${duration} sec`);
 
-    const loggedOutput = JSON.parse(JSON.stringify(output));
-    ['matches', 'misses', 'unknowns'].forEach((type) =>
-      loggedOutput[type].forEach((result) => delete result.base64)
-    );
-    console.log(loggedOutput);
+      const loggedOutput = JSON.parse(JSON.stringify(output));
+      ['matches', 'misses', 'unknowns'].forEach((type) =>
+        loggedOutput[type].forEach((result) => delete result.base64)
+      );
+      console.log(loggedOutput);
 
-    PROCESSING = false;
+      console.verbose(`Event type: ${event.type}`);
+      recognize.save.latest(camera, best, misses, unknowns[0]);
+      events.save({ event, output, startedAt, votes });
+      events.track({ event, output, startedAt });
+      mqtt.recognize(output);
+      output.matches.forEach(({ name }) => presence.seen({ name, camera, zones }));
+      notify.publish(output, camera, zones);
+      if (event.type === 'frigate') frigate.subLabel(event.topic, id, best);
+      if (output.matches.length) IDS.push(id);
+      if (results.length) emit('recognize', true);
+      return output;
+    };
 
-    console.verbose(`Event type: ${event.type}`);
-    recognize.save.latest(camera, best, misses, unknowns[0]);
-    mqtt.recognize(output);
-    notify.publish(output, camera, results);
-    if (event.type === 'frigate') frigate.subLabel(event.topic, id, best);
-    if (output.matches.length) IDS.push(id);
-    if (results.length) emit('recognize', true);
+    const output = await queue.add({
+      event: id,
+      camera,
+      type: event.type === 'frigate' ? `frigate ${event.frigateEventType}` : event.type,
+      priority: queue.priority(event),
+      run,
+    });
     res.send(output);
   } catch (error) {
-    PROCESSING = false;
+    if (error.code === 'QUEUE_DROPPED') return res.status(SERVICE_UNAVAILABLE).error(error.message);
     console.error(`An error occurred at ${error.stack}`);
     console.error(`An error occurred when recogniting file: ${error.message}`);
     // res.send(error);
@@ -198,8 +261,10 @@ module.exports.start = async (req, res) => {
 module.exports.upload = async (req, res) => {
   res.send({ success: true });
   for (const file of req.files) {
-    const { buffer } = file;
-    const filename = `${uuidv4()}.jpg`;
+    const { buffer, originalname } = file;
+    // the upload keeps its name so detectors like fixture can tell uploads apart
+    const name = path.parse(originalname || '').name.replace(/[^\w.-]/g, '-');
+    const filename = `${uuidv4()}${name ? `-${name}` : ''}.jpg`;
     fs.writer(`${STORAGE.TMP.PATH}/${filename}`, buffer);
     await axios({
       method: 'get',
@@ -1,12 +1,13 @@
-const axios = require('axios');
 const config = require('../constants/config');
 const validate = require('../schemas/validate');
 const { tryParseJSON } = require('../util/validators.util');
 const mqtt = require('../util/mqtt.util');
+const chain = require('../util/chain.util');
+const breaker = require('../util/circuit-breaker.util');
 const { auth, jwt } = require('../util/auth.util');
-const frigateAuth = require('../util/frigate-auth.util');
+const frigate = require('../util/frigate.util');
 const { BAD_REQUEST } = require('../constants/http-status');
-const { AUTH, FRIGATE } = require('../constants')();
+const { AUTH } = require('../constants')();
 
 module.exports.mqtt = (req, res) => {
   res.send(mqtt.status());
@@ -21,42 +22,38 @@ module.exports.auth = (req, res) => {
 };
 
 module.exports.frigate = async (req, res) => {
-  if (!FRIGATE.URL) return res.status(BAD_REQUEST).error('Frigate URL not configured');
+  const instances = frigate.instances();
+  if (!instances.length) return res.status(BAD_REQUEST).error('Frigate URL not configured');
 
   const { time, camera } = tryParseJSON(process.env.FRIGATE_LAST_EVENT) || {
     time: null,
     camera: null,
   };
 
-  try {
-    const username = FRIGATE.USERNAME;
-    const password = FRIGATE.PASSWORD;
-    
-    let version;
-    if (username && password) {
-      // Use authenticated request
-      const response = await frigateAuth.authenticatedRequest({
-        method: 'get',
-        url: `${FRIGATE.URL}/api/version`,
-      }, FRIGATE.URL, username, password);
-      version = response.data;
-    } else {
-      // Use unauthenticated request (backward compatibility)
-      const { data } = await axios({
-        method: 'get',
-        url: `${FRIGATE.URL}/api/version`,
-      });
-      version = data;
-    }
-
-    res.send({ version, last: { time, camera } });
-  } catch (error) {
-    console.error(`Frigate status error: ${error.message}`);
-    res.status(500).send({ 
+  const statuses = await Promise.all(
+    instances.map(async ({ NAME, TOPIC }) => {
+      try {
+        return { name: NAME, topic: TOPIC, version: await frigate.status(TOPIC) };
+      } catch (error) {
+        console.error(`Frigate ${NAME} status error: ${error.message}`);
+        return { name: NAME, topic: TOPIC, error: error.message };
+      }
+    })
+  );
+
+  const [online] = statuses.filter(({ version }) => version);
+  if (!online)
+    return res.status(500).send({
       error: 'Failed to get Frigate status',
-      message: error.message 
+      message: statuses.map(({ name, error }) => `${name}: ${error}`).join('; '),
+      instances: statuses,
     });
-  }
+
+  res.send({ version: online.version, last: { time, camera }, instances: statuses });
 };
 
 module.exports.config = (req, res) => res.send(validate(config()));
+
+module.exports.chain = (req, res) => res.send(chain.status());
+
+module.exports.detectors = (req, res) => res.send(breaker.status());
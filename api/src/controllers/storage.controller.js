@@ -1,11 +1,10 @@
 const fs = require('fs');
 const axios = require('axios');
-const sizeOf = require('probe-image-size');
-const { createCanvas, loadImage, registerFont } = require('canvas');
+const { createCanvas, loadImage } = require('canvas');
 const { jwt } = require('../util/auth.util');
 const filesystem = require('../util/fs.util');
 const database = require('../util/db.util');
-const { tryParseJSON } = require('../util/validators.util');
+const annotate = require('../util/annotate.util');
 const { BAD_REQUEST } = require('../constants/http-status');
 const { AUTH, SERVER, UI } = require('../constants')();
 const { PATH } = require('../constants')().STORAGE.MEDIA;
@@ -21,73 +20,8 @@ module.exports.matches = async (req, res) => {
   }
 
   if (showBox === 'true') {
-    const db = database.connect();
-    const match = db.prepare('SELECT * FROM match WHERE filename = ?').bind(filename).get();
-
-    if (!match || !tryParseJSON(match.response)) {
-      const buffer = fs.readFileSync(source);
-      res.set('Content-Type', 'image/jpeg');
-      return res.end(buffer);
-    }
-    const response = JSON.parse(match.response);
-
-    const fontSize = 18;
-    const textPadding = 10;
-    const lineWidth = 4;
-
-    const { width, height } = await sizeOf(fs.createReadStream(source)).catch((/* error */) => ({
-      width: 0,
-      height: 0,
-    }));
-    if (width <= 0 || height <= 0) {
-      return res.status(BAD_REQUEST).error(`Invalid image dimensions for ${source}`);
-    }
-    const canvas = createCanvas(width, height);
-    const ctx = canvas.getContext('2d');
-    const image = await loadImage(source);
-
-    registerFont(`${__dirname}/../static/fonts/Roboto/Roboto-Medium.ttf`, {
-      family: 'Roboto-Medium',
-    });
-    ctx.drawImage(image, 0, 0);
-    ctx.font = `${fontSize}px Roboto-Medium`;
-    ctx.textBaseline = 'top';
-
-    const textHeight = fontSize + textPadding;
-
-    response.forEach((obj) => {
-      const { detector } = obj;
-      obj.results.forEach(({ name, confidence, box }) => {
-        const text = `${name} - ${confidence}%`;
-        const textWidth = ctx.measureText(text).width + textPadding;
-
-        let fillStyle = '#78cc86';
-        if (detector === 'compreface') fillStyle = '#095fd7';
-        if (detector === 'deepstack') fillStyle = '#d66b11';
-        if (detector === 'aiserver') fillStyle = '#f9fc97';
-        if (detector === 'facebox') fillStyle = '#5f39a4';
-
-        ctx.fillStyle = fillStyle;
-        if (confidence > 0) {
-          ctx.fillRect(box.left - lineWidth / 2, box.top - textHeight, textWidth, textHeight);
-          ctx.fillStyle = '#fff';
-          ctx.fillText(
-            text,
-            box.left + textPadding / 2 - lineWidth / 2,
-            box.top - textHeight + textPadding / 2
-          );
-        }
-
-        ctx.strokeStyle = fillStyle;
-        ctx.lineWidth = lineWidth;
-        ctx.beginPath();
-
-        ctx.rect(box.left, box.top, box.width, box.height);
-        ctx.stroke();
-      });
-    });
-
-    const buffer = canvas.toBuffer('image/jpeg');
+    const buffer = await annotate.match(filename);
+    if (!buffer) return res.status(BAD_REQUEST).error(`Invalid image dimensions for ${source}`);
     res.set('Content-Type', 'image/jpeg');
     return res.end(buffer);
   }
@@ -0,0 +1,26 @@
+const express = require('express');
+const { jwt, validate, Joi } = require('../middlewares');
+const controller = require('../controllers/backfill.controller');
+
+const router = express.Router();
+
+router
+  .get('/', jwt, controller.get)
+  .post(
+    '/',
+    jwt,
+    validate({
+      body: {
+        camera: Joi.string().required(),
+        label: Joi.string().default('person'),
+        after: Joi.date().required(),
+        before: Joi.date().default(() => new Date()),
+        topic: Joi.string(),
+        delay: Joi.number().min(0),
+      },
+    }),
+    controller.start
+  )
+  .delete('/', jwt, controller.cancel);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { jwt, validate, Joi } = require('../middlewares');
+const controller = require('../controllers/event.controller');
+
+const router = express.Router();
+
+router
+  .get(
+    '/',
+    jwt,
+    validate({
+      query: {
+        page: Joi.number().integer().default(1).min(1),
+        camera: Joi.string(),
+        name: Joi.string(),
+      },
+    }),
+    controller.get
+  )
+  .get('/:id', jwt, controller.id);
+
+module.exports = router;
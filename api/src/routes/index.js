@@ -8,6 +8,7 @@ router.use('/config', require('./config.routes'));
 router.use('/camera', require('./camera.routes'));
 router.use('/recognize', require('./recognize.routes'));
 router.use('/match', require('./match.routes'));
+router.use('/events', require('./event.routes'));
 router.use('/filesystem', require('./fs.routes'));
 router.use('/train', require('./train.routes'));
 router.use('/storage', require('./storage.routes'));
@@ -15,6 +16,10 @@ router.use('/proxy', require('./proxy.routes'));
 router.use('/logger', require('./logger.routes'));
 router.use('/status', require('./status.routes'));
 router.use('/export', require('./export.routes'));
+router.use('/queue', require('./queue.routes'));
+router.use('/backfill', require('./backfill.routes'));
+router.use('/presence', require('./presence.routes'));
+router.use('/notifications', require('./notification.routes'));
 
 router.use(STORAGE.TMP.PATH, express.static(STORAGE.TMP.PATH));
 router.use((req, res) => {
@@ -0,0 +1,30 @@
+const express = require('express');
+const { jwt, validate, Joi } = require('../middlewares');
+const controller = require('../controllers/notification.controller');
+
+const router = express.Router();
+
+router
+  .get(
+    '/',
+    jwt,
+    validate({
+      query: {
+        page: Joi.number().integer().default(1).min(1),
+        service: Joi.string(),
+        status: Joi.string().valid('pending', 'retrying', 'sent', 'failed'),
+        camera: Joi.string(),
+        rule: Joi.string(),
+      },
+    }),
+    controller.get
+  )
+  .get('/:id', jwt, validate({ params: { id: Joi.number().integer() } }), controller.id)
+  .post(
+    '/:id/resend',
+    jwt,
+    validate({ params: { id: Joi.number().integer() } }),
+    controller.resend
+  );
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { jwt } = require('../middlewares');
+const controller = require('../controllers/presence.controller');
+
+const router = express.Router();
+
+router.get('/', jwt, controller.get).get('/:name', jwt, controller.name);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { jwt } = require('../middlewares');
+const { get } = require('../controllers/queue.controller');
+
+const router = express.Router();
+
+router.get('/', jwt, get);
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
 const { jwt } = require('../middlewares');
-const { auth, mqtt, frigate, config } = require('../controllers/status.controller');
+const {
+  auth,
+  mqtt,
+  frigate,
+  config,
+  chain,
+  detectors,
+} = require('../controllers/status.controller');
 
 const router = express.Router();
 
@@ -8,6 +15,8 @@ router
   .get('/auth', auth)
   .get('/mqtt', jwt, mqtt)
   .get('/frigate', jwt, frigate)
-  .get('/config', jwt, config);
+  .get('/config', jwt, config)
+  .get('/chain', jwt, chain)
+  .get('/detectors', jwt, detectors);
 
 module.exports = router;
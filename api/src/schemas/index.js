@@ -14,23 +14,90 @@ module.exports.config = {
       required: ['host'],
       properties: {
         host: { type: 'string' },
+        images: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            max_width: { type: 'number', minimum: 0 },
+            quality: { type: 'number', minimum: 1, maximum: 100 },
+          },
+        },
         topics: {
           type: 'object',
           properties: {
-            frigate: { type: 'string' },
-            homeassistant: { type: ['string', 'boolean'] },
-            matches: { type: 'string' },
-            cameras: { type: 'string' },
+            frigate: { $ref: '/mqtt-topic' },
+            homeassistant: { $ref: '/mqtt-topic' },
+            matches: { $ref: '/mqtt-topic' },
+            cameras: { $ref: '/mqtt-topic' },
+            detectors: { $ref: '/mqtt-topic' },
+            events: { $ref: '/mqtt-topic' },
+            commands: { $ref: '/mqtt-topic' },
+          },
+        },
+        templates: {
+          type: 'object',
+          properties: {
+            match: { type: 'string' },
+            unknown: { type: 'string' },
+            camera: { type: 'string' },
           },
         },
       },
     },
     detect: { $ref: '/detect' },
+    circuit_breaker: { $ref: '/circuit-breaker' },
+    queue: {
+      type: 'object',
+      properties: {
+        concurrency: { type: 'number' },
+        per_camera: { type: 'number' },
+        max_pending: { type: 'number' },
+      },
+    },
+    presence: {
+      type: 'object',
+      properties: {
+        home: { type: 'string' },
+        away: { type: 'string' },
+        timeout: { type: 'number', minimum: 0 },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['camera', 'state'],
+            properties: {
+              camera: { type: 'string' },
+              zones: { type: 'array', items: { type: 'string' } },
+              from: { type: 'array', items: { type: 'string' } },
+              state: { type: 'string' },
+              timeout: { type: 'number', minimum: 0 },
+            },
+          },
+        },
+      },
+    },
     frigate: {
       type: 'object',
-      required: ['url'],
+      anyOf: [{ required: ['url'] }, { required: ['instances'] }],
       properties: {
         url: { type: 'string' },
+        instances: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['url'],
+            properties: {
+              name: { type: 'string' },
+              url: { type: 'string' },
+              username: { type: 'string' },
+              password: { type: 'string' },
+              topic: { type: 'string' },
+              cameras: { type: 'array' },
+              labels: { type: 'array' },
+              zones: { $ref: '/zones' },
+            },
+          },
+        },
         labels: { type: 'array' },
         attempts: {
           type: 'object',
@@ -47,6 +114,21 @@ module.exports.config = {
             height: { type: 'number' },
           },
         },
+        crop: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            target: { type: 'string', enum: ['person', 'face'] },
+            margin: { type: 'number' },
+          },
+        },
+        backfill: {
+          type: 'object',
+          properties: {
+            page_size: { type: 'number' },
+            delay: { type: 'number' },
+          },
+        },
         cameras: {
           type: 'array',
         },
@@ -73,6 +155,14 @@ module.exports.config = {
                     snapshot: { type: 'string' },
                   },
                 },
+                crop: {
+                  type: 'object',
+                  properties: {
+                    enabled: { type: 'boolean' },
+                    target: { type: 'string', enum: ['person', 'face'] },
+                    margin: { type: 'number' },
+                  },
+                },
               },
             },
           },
@@ -114,6 +204,8 @@ module.exports.config = {
         { required: ['aiserver'] },
         { required: ['facebox'] },
         { required: ['rekognition'] },
+        { required: ['fixture'] },
+        { required: ['http'] },
       ],
       properties: {
         compreface: {
@@ -123,6 +215,9 @@ module.exports.config = {
             url: { type: 'string' },
             key: { type: 'string' },
             opencv_face_required: { type: 'boolean' },
+            weight: { type: 'number' },
+            circuit_breaker: { $ref: '/circuit-breaker' },
+            opencv_face_crop: { $ref: '/opencv-face-crop' },
             cameras: { type: 'array' },
           },
         },
@@ -133,6 +228,9 @@ module.exports.config = {
             url: { type: 'string' },
             key: { type: 'string' },
             opencv_face_required: { type: 'boolean' },
+            weight: { type: 'number' },
+            circuit_breaker: { $ref: '/circuit-breaker' },
+            opencv_face_crop: { $ref: '/opencv-face-crop' },
             cameras: { type: 'array' },
           },
         },
@@ -142,6 +240,9 @@ module.exports.config = {
           properties: {
             url: { type: 'string' },
             opencv_face_required: { type: 'boolean' },
+            weight: { type: 'number' },
+            circuit_breaker: { $ref: '/circuit-breaker' },
+            opencv_face_crop: { $ref: '/opencv-face-crop' },
             cameras: { type: 'array' },
           },
         },
@@ -151,6 +252,9 @@ module.exports.config = {
           properties: {
             url: { type: 'string' },
             opencv_face_required: { type: 'boolean' },
+            weight: { type: 'number' },
+            circuit_breaker: { $ref: '/circuit-breaker' },
+            opencv_face_crop: { $ref: '/opencv-face-crop' },
             cameras: { type: 'array' },
           },
         },
@@ -162,6 +266,94 @@ module.exports.config = {
             aws_secret_access_key: { type: 'string' },
             aws_region: { type: 'string' },
             opencv_face_required: { type: 'boolean' },
+            weight: { type: 'number' },
+            circuit_breaker: { $ref: '/circuit-breaker' },
+            opencv_face_crop: { $ref: '/opencv-face-crop' },
+            cameras: { type: 'array' },
+          },
+        },
+        fixture: {
+          type: 'object',
+          properties: {
+            rules: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  hash: { type: 'string' },
+                  filename: { type: 'string' },
+                  faces: { type: 'array' },
+                  latency: { type: 'number' },
+                  error: { type: ['string', 'boolean'] },
+                },
+              },
+            },
+            directory: { type: 'string' },
+            faces: { type: 'array' },
+            box: { type: 'object' },
+            latency: { type: 'number' },
+            errors: {
+              type: 'object',
+              properties: {
+                rate: { type: 'number' },
+                code: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+            opencv_face_required: { type: 'boolean' },
+            weight: { type: 'number' },
+            circuit_breaker: { $ref: '/circuit-breaker' },
+            opencv_face_crop: { $ref: '/opencv-face-crop' },
+            cameras: { type: 'array' },
+          },
+        },
+        http: {
+          type: 'object',
+          required: ['recognize'],
+          properties: {
+            timeout: { type: 'number' },
+            headers: { type: 'object' },
+            recognize: {
+              allOf: [
+                { $ref: '/http-endpoint' },
+                {
+                  required: ['url'],
+                  properties: {
+                    response: {
+                      type: 'object',
+                      properties: {
+                        success: { type: 'string' },
+                        error: { type: 'string' },
+                        faces: { type: 'string' },
+                        name: { type: 'string' },
+                        confidence: { type: 'string' },
+                        confidence_scale: { type: 'number' },
+                        unknown: { type: 'array', items: { type: 'string' } },
+                        box: {
+                          type: 'object',
+                          properties: {
+                            format: { type: 'string', enum: ['xyxy', 'xywh'] },
+                            path: { type: 'string' },
+                            left: { type: 'string' },
+                            top: { type: 'string' },
+                            right: { type: 'string' },
+                            bottom: { type: 'string' },
+                            width: { type: 'string' },
+                            height: { type: 'string' },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              ],
+            },
+            train: { $ref: '/http-endpoint' },
+            remove: { $ref: '/http-endpoint' },
+            opencv_face_required: { type: 'boolean' },
+            weight: { type: 'number' },
+            circuit_breaker: { $ref: '/circuit-breaker' },
+            opencv_face_crop: { $ref: '/opencv-face-crop' },
             cameras: { type: 'array' },
           },
         },
@@ -172,6 +364,43 @@ module.exports.config = {
       types: { type: 'array' },
       properties: {
         only_unknown: { type: 'boolean' },
+        retries: { type: 'number', minimum: 0 },
+        retry_delay: { type: 'number', minimum: 1 },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              people: { type: 'array', items: { type: 'string' } },
+              exclude: { type: 'array', items: { type: 'string' } },
+              unknown: { type: 'boolean' },
+              cameras: { type: 'array', items: { type: 'string' } },
+              zones: { type: 'array', items: { type: 'string' } },
+              types: { type: 'array', items: { type: 'string' } },
+              confidence: {
+                type: 'object',
+                properties: {
+                  min: { type: 'number' },
+                  max: { type: 'number' },
+                },
+              },
+              schedule: {
+                type: 'object',
+                properties: {
+                  days: { type: 'array', items: { type: 'string' } },
+                  times: {
+                    type: 'array',
+                    items: { type: 'string', pattern: '^\\d{1,2}(:\\d{2})?-\\d{1,2}(:\\d{2})?$' },
+                  },
+                },
+              },
+              services: { type: 'array', items: { type: 'string' } },
+              template: { type: 'string' },
+              cooldown: { type: 'number', minimum: 0 },
+            },
+          },
+        },
         gotify: {
           type: 'object',
           required: ['url'],
@@ -191,6 +420,78 @@ module.exports.config = {
             zones: { $ref: '/zones' },
           },
         },
+        email: {
+          type: 'object',
+          required: ['host', 'from', 'to'],
+          properties: {
+            host: { type: 'string' },
+            port: { type: 'number' },
+            security: { type: 'string', enum: ['starttls', 'tls', 'none'] },
+            username: { type: 'string' },
+            password: { type: 'string' },
+            from: { type: 'string' },
+            to: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+            cameras: { type: 'array' },
+            zones: { $ref: '/zones' },
+          },
+        },
+        ntfy: {
+          type: 'object',
+          required: ['topic'],
+          properties: {
+            url: { type: 'string' },
+            topic: { type: 'string' },
+            token: { type: 'string' },
+            username: { type: 'string' },
+            password: { type: 'string' },
+            priority: { type: ['string', 'number'] },
+            tags: { type: 'array', items: { type: 'string' } },
+            unknown: { $ref: '/ntfy-options' },
+            people: { type: 'object', additionalProperties: { $ref: '/ntfy-options' } },
+            cameras: { type: 'array' },
+            zones: { $ref: '/zones' },
+          },
+        },
+        pushover: {
+          type: 'object',
+          required: ['token', 'user'],
+          properties: {
+            token: { type: 'string' },
+            user: { type: 'string' },
+            device: { type: 'string' },
+            priority: { type: 'number', minimum: -2, maximum: 2 },
+            sound: { type: 'string' },
+            retry: { type: 'number', minimum: 30 },
+            expire: { type: 'number', maximum: 10800 },
+            unknown: { $ref: '/pushover-options' },
+            people: { type: 'object', additionalProperties: { $ref: '/pushover-options' } },
+            cameras: { type: 'array' },
+            zones: { $ref: '/zones' },
+          },
+        },
+        webhook: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['url'],
+            properties: {
+              url: { type: 'string' },
+              method: { type: 'string', enum: ['POST', 'PUT', 'PATCH', 'post', 'put', 'patch'] },
+              headers: { type: 'object', additionalProperties: { type: 'string' } },
+              secret: { type: 'string' },
+              body: { type: 'string' },
+              image: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['full', 'boxed', 'face'] },
+                  mode: { type: 'string', enum: ['base64', 'multipart'] },
+                },
+              },
+              cameras: { type: 'array' },
+              zones: { $ref: '/zones' },
+            },
+          },
+        },
       },
     },
     time: {
@@ -210,6 +511,7 @@ module.exports.config = {
       type: 'object',
       properties: {
         path: { type: 'string' },
+        url: { type: 'string' },
         pagination: {
           type: 'object',
           properties: {
@@ -259,6 +561,63 @@ module.exports.detect = {
         min_area: { type: 'number' },
       },
     },
+    dedupe: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        size: { type: 'number' },
+        threshold: { type: 'number' },
+        cache: { type: 'number' },
+      },
+    },
+    quality: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        min_sharpness: { type: 'number' },
+        tie_breaker: { type: 'string', enum: ['confidence', 'quality'] },
+      },
+    },
+    fusion: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        iou: { type: 'number' },
+        min_agreement: { type: 'number' },
+      },
+    },
+    voting: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        min_frames: { type: 'number' },
+        min_score: { type: 'number' },
+      },
+    },
+    chain: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        stages: {
+          type: 'array',
+          items: { type: ['string', 'array'], items: { type: 'string' } },
+        },
+        fallback: {
+          type: 'object',
+          properties: {
+            no_match: { type: 'boolean' },
+            unknown: { type: 'boolean' },
+            uncertain: {
+              type: 'object',
+              properties: {
+                min: { type: 'number' },
+                max: { type: 'number' },
+              },
+            },
+          },
+        },
+      },
+    },
   },
 };
 
@@ -272,3 +631,67 @@ module.exports.zones = {
     },
   },
 };
+
+module.exports.httpEndpoint = {
+  id: '/http-endpoint',
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    method: { type: 'string' },
+    field: { type: 'string' },
+    headers: { type: 'object' },
+    fields: { type: 'object' },
+  },
+};
+
+module.exports.circuitBreaker = {
+  id: '/circuit-breaker',
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    threshold: { type: 'number' },
+    cool_off: { type: 'number' },
+  },
+};
+
+module.exports.mqttTopic = {
+  id: '/mqtt-topic',
+  anyOf: [
+    { type: ['string', 'boolean', 'array'] },
+    {
+      type: 'object',
+      properties: {
+        topic: { type: ['string', 'boolean', 'array'] },
+        qos: { enum: [0, 1, 2] },
+        retain: { type: 'boolean' },
+      },
+    },
+  ],
+};
+
+module.exports.ntfyOptions = {
+  id: '/ntfy-options',
+  type: 'object',
+  properties: {
+    priority: { type: ['string', 'number'] },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+module.exports.pushoverOptions = {
+  id: '/pushover-options',
+  type: 'object',
+  properties: {
+    priority: { type: 'number', minimum: -2, maximum: 2 },
+    sound: { type: 'string' },
+  },
+};
+
+module.exports.opencvFaceCrop = {
+  id: '/opencv-face-crop',
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    padding: { type: 'number' },
+  },
+};
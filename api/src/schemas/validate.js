@@ -1,10 +1,26 @@
 const { Validator } = require('jsonschema');
-const { config, detect, zones } = require('.');
+const {
+  config,
+  detect,
+  zones,
+  httpEndpoint,
+  circuitBreaker,
+  mqttTopic,
+  ntfyOptions,
+  pushoverOptions,
+  opencvFaceCrop,
+} = require('.');
 
 module.exports = (object, log = true) => {
   const v = new Validator();
   v.addSchema(detect);
   v.addSchema(zones);
+  v.addSchema(httpEndpoint);
+  v.addSchema(circuitBreaker);
+  v.addSchema(mqttTopic);
+  v.addSchema(ntfyOptions);
+  v.addSchema(pushoverOptions);
+  v.addSchema(opencvFaceCrop);
 
   const messages = [];
   const { errors } = v.validate(object, config);
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const sizeOf = require('probe-image-size');
+const { createCanvas, loadImage, registerFont } = require('canvas');
+const database = require('./db.util');
+const fusion = require('./fusion.util');
+const { tryParseJSON } = require('./validators.util');
+const { PATH } = require('../constants')().STORAGE.MEDIA;
+
+const COLORS = {
+  compreface: '#095fd7',
+  deepstack: '#d66b11',
+  aiserver: '#f9fc97',
+  facebox: '#5f39a4',
+  [fusion.DETECTOR]: '#d63384',
+};
+
+/**
+ * Draws the box, name and confidence of every detector result on an image.
+ *
+ * @param {string} source - Image path.
+ * @param {Array<object>} response - Detector results saved with the match.
+ * @param {object} options - Options.
+ * @param {number} options.width - Max width of the output, 0 keeps the image size.
+ * @param {number} options.quality - JPEG quality from 1 to 100, defaults to the canvas default.
+ * @return {Promise<Buffer|false>} JPEG or false when the image dimensions can't be read.
+ */
+module.exports.boxes = async (source, response, { width: maxWidth = 0, quality } = {}) => {
+  const fontSize = 18;
+  const textPadding = 10;
+  const lineWidth = 4;
+
+  const { width, height } = await sizeOf(fs.createReadStream(source)).catch((/* error */) => ({
+    width: 0,
+    height: 0,
+  }));
+  if (width <= 0 || height <= 0) return false;
+
+  const scale = maxWidth > 0 && width > maxWidth ? maxWidth / width : 1;
+  const canvas = createCanvas(Math.round(width * scale), Math.round(height * scale));
+  const ctx = canvas.getContext('2d');
+  const image = await loadImage(source);
+
+  registerFont(`${__dirname}/../static/fonts/Roboto/Roboto-Medium.ttf`, {
+    family: 'Roboto-Medium',
+  });
+  ctx.scale(scale, scale);
+  ctx.drawImage(image, 0, 0);
+  ctx.font = `${fontSize}px Roboto-Medium`;
+  ctx.textBaseline = 'top';
+
+  const textHeight = fontSize + textPadding;
+
+  fusion.resolve(response).forEach((obj) => {
+    const { detector } = obj;
+    obj.results.forEach(({ name, confidence, box }) => {
+      const text = `${name} - ${confidence}%`;
+      const textWidth = ctx.measureText(text).width + textPadding;
+      const fillStyle = COLORS[detector] || '#78cc86';
+
+      ctx.fillStyle = fillStyle;
+      if (confidence > 0) {
+        ctx.fillRect(box.left - lineWidth / 2, box.top - textHeight, textWidth, textHeight);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(
+          text,
+          box.left + textPadding / 2 - lineWidth / 2,
+          box.top - textHeight + textPadding / 2
+        );
+      }
+
+      ctx.strokeStyle = fillStyle;
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+
+      ctx.rect(box.left, box.top, box.width, box.height);
+      ctx.stroke();
+    });
+  });
+
+  return quality
+    ? canvas.toBuffer('image/jpeg', { quality: quality / 100 })
+    : canvas.toBuffer('image/jpeg');
+};
+
+/**
+ * Draws the results saved for a match image, images without saved results are returned as is.
+ *
+ * @param {string} filename - Filename of the match image.
+ * @param {object} options - Options passed to `boxes()`.
+ * @return {Promise<Buffer|false>} JPEG or false when the image doesn't exist or can't be read.
+ */
+module.exports.match = async (filename, options) => {
+  const source = `${PATH}/matches/${filename}`;
+  if (!fs.existsSync(source)) return false;
+
+  const db = database.connect();
+  const match = db.prepare('SELECT * FROM match WHERE filename = ?').bind(filename).get();
+  if (!match || !tryParseJSON(match.response)) return fs.readFileSync(source);
+  return this.boxes(source, JSON.parse(match.response), options);
+};
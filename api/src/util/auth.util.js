@@ -34,9 +34,9 @@ module.exports.auth = {
 };
 
 module.exports.jwt = {
-  sign: (obj = {}) =>
+  sign: (obj = {}, { expiresIn } = {}) =>
     jwt.sign(obj, this.auth.get().secret, {
-      expiresIn: obj.expiresIn ? obj.expiresIn : obj.route ? '1h' : '168h',
+      expiresIn: expiresIn || (obj.route ? '1h' : '168h'),
     }),
   decode: (token) => jwt.verify(token, this.auth.get().secret),
   verify: (token) => {
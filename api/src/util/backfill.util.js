@@ -0,0 +1,218 @@
+const { v4: uuidv4 } = require('uuid');
+const filesystem = require('./fs.util');
+const database = require('./db.util');
+const frigate = require('./frigate.util');
+const processing = require('./process.util');
+const fusion = require('./fusion.util');
+const queue = require('./queue.util');
+const recognize = require('./recognize.util');
+const events = require('./event.util');
+const sleep = require('./sleep.util');
+const time = require('./time.util');
+const { emit } = require('./socket.util');
+const { STORAGE } = require('../constants')();
+const config = require('../constants/config');
+
+let JOB = null;
+
+const update = (job, changes) => {
+  Object.assign(job, changes);
+  emit('backfill', { ...job });
+};
+
+/**
+ * Gets a page of Frigate events with snapshots, newest first.
+ *
+ * @param {object} options - Options.
+ * @param {string} options.topic - Frigate topic used to pick the Frigate instance.
+ * @param {object} options.params - Camera, label, after, before and limit.
+ * @return {Promise<Array<object>>} Frigate events.
+ */
+module.exports.events = async ({ topic, params }) => {
+  const instance = frigate.instance(topic);
+  const { data } = await frigate.request(instance, {
+    method: 'get',
+    url: `${instance.URL}/api/events`,
+    params: { ...params, has_snapshot: 1 },
+    timeout: 15 * 1000,
+  });
+  return Array.isArray(data) ? data : [];
+};
+
+/**
+ * Downloads the snapshot of a Frigate event and runs it through the detectors. Results are saved
+ * as matches with the type backfill and grouped under an event row, nothing is published.
+ *
+ * @param {object} event - Frigate event.
+ * @param {string} topic - Frigate topic used to pick the Frigate instance.
+ * @return {Promise<object>} Whether a match or unknown face was saved.
+ */
+module.exports.process = async (event, topic) => {
+  const { id, camera, label, zones = [] } = event;
+  const { URL } = config.frigate({ id, camera, topic });
+  const { UNKNOWN } = config.detect(camera);
+
+  const stream = await processing.stream(URL.SNAPSHOT);
+  if (!stream) throw new Error(`snapshot for ${id} not available`);
+
+  const tmp = `${STORAGE.TMP.PATH}/${id}-backfill-${uuidv4()}.jpg`;
+  const filename = `${uuidv4()}.jpg`;
+  try {
+    filesystem.writer(tmp, stream);
+    const results = await processing.start({ camera, filename, tmp });
+
+    const faces = fusion.resolve(results).flatMap((obj) => obj.results);
+    const match = faces.some((face) => face.match);
+    const unknown = !match && !!faces.length && UNKNOWN.SAVE;
+
+    if (match || unknown) {
+      const startedAt = new Date(event.start_time * 1000).toISOString();
+      await processing.save(
+        { id, type: 'backfill', camera, label, zones, startedAt },
+        results,
+        filename,
+        tmp
+      );
+      const { best, misses, unknowns } = recognize.normalize(
+        [{ type: 'backfill', attempts: 1, results }],
+        { camera }
+      );
+      events.save({
+        event: { id, type: 'backfill', camera },
+        output: { matches: best, misses, unknowns, zones },
+        startedAt,
+        endedAt: event.end_time ? new Date(event.end_time * 1000).toISOString() : null,
+      });
+    }
+    return { match, unknown };
+  } finally {
+    filesystem.delete(tmp);
+  }
+};
+
+/**
+ * Starts a backfill job in the background, only one job can run at a time.
+ *
+ * @param {object} options - Options.
+ * @param {string} options.camera - Frigate camera.
+ * @param {string} options.label - Frigate label.
+ * @param {Date} options.after - Start of the time range.
+ * @param {Date} options.before - End of the time range.
+ * @param {string} options.topic - Frigate topic used to pick the Frigate instance.
+ * @param {number} options.delay - Seconds to wait between events.
+ * @return {object|false} The job or false if a job is already running.
+ */
+module.exports.start = ({ camera, label, after, before, topic, delay }) => {
+  if (['running', 'cancelling'].includes(JOB?.status)) return false;
+  const { BACKFILL } = config.frigate({ camera, topic });
+
+  JOB = {
+    id: uuidv4(),
+    status: 'running',
+    camera,
+    label,
+    after: after.toISOString(),
+    before: before.toISOString(),
+    topic: frigate.instance(topic).TOPIC,
+    delay: delay ?? BACKFILL.DELAY,
+    progress: 0,
+    processed: 0,
+    matches: 0,
+    unknowns: 0,
+    skipped: 0,
+    failed: 0,
+    startedAt: time.utc(),
+    finishedAt: null,
+    error: null,
+  };
+  this.run(JOB, BACKFILL.PAGE_SIZE);
+  return { ...JOB };
+};
+
+/**
+ * Pages through the Frigate events of a job from newest to oldest until the range is exhausted or
+ * the job is cancelled. Frigate filters on start time, so each page ends before the oldest event of
+ * the previous one.
+ *
+ * @param {object} job - Job from `start()`.
+ * @param {number} limit - Events per page.
+ */
+module.exports.run = async (job, limit) => {
+  const [start, end] = [job.after, job.before].map((date) => new Date(date).getTime() / 1000);
+  const seen = [];
+  let before = end;
+  const cancelled = () => job.status === 'cancelling';
+
+  try {
+    console.log(`backfill: processing ${job.camera} ${job.label} events from ${job.after}`);
+    while (!cancelled()) {
+      const page = (
+        await this.events({
+          topic: job.topic,
+          params: { camera: job.camera, label: job.label, after: start, before, limit },
+        })
+      ).filter(({ id }) => !seen.includes(id));
+      if (!page.length) break;
+
+      for (const event of page) {
+        if (cancelled()) break;
+        seen.push(event.id);
+        before = Math.min(before, event.start_time);
+
+        const progress = parseFloat((((end - before) / (end - start)) * 100).toFixed(2));
+
+        // events that already have matches were processed live or by an earlier backfill
+        const [saved] = database
+          .connect()
+          .prepare('SELECT COUNT(*) count FROM match WHERE eventId = ?')
+          .all(event.id);
+        if (saved.count) update(job, { skipped: job.skipped + 1, progress });
+        else {
+          try {
+            // queued at the lowest priority so live events are never held up by a backfill
+            const { match, unknown } = await queue.add({
+              event: `${event.id}-backfill`,
+              camera: event.camera,
+              type: 'backfill',
+              priority: queue.priority({ type: 'backfill' }),
+              run: () => this.process(event, job.topic),
+            });
+            update(job, {
+              processed: job.processed + 1,
+              matches: job.matches + (match ? 1 : 0),
+              unknowns: job.unknowns + (unknown ? 1 : 0),
+              progress,
+            });
+          } catch (error) {
+            console.error(`backfill: ${event.id} error: ${error.message}`);
+            update(job, { failed: job.failed + 1, progress });
+          }
+          if (job.delay > 0) await sleep(job.delay);
+        }
+      }
+      if (page.length < limit) break;
+    }
+    update(job, {
+      status: cancelled() ? 'cancelled' : 'done',
+      progress: cancelled() ? job.progress : 100,
+      finishedAt: time.utc(),
+    });
+  } catch (error) {
+    console.error(`backfill error: ${error.message}`);
+    update(job, { status: 'failed', error: error.message, finishedAt: time.utc() });
+  }
+  console.log(`backfill: ${job.status} after ${job.processed} event(s)`);
+};
+
+/**
+ * Stops the running job after the event it's processing.
+ *
+ * @return {object|false} The job or false if no job is running.
+ */
+module.exports.cancel = () => {
+  if (JOB?.status !== 'running') return false;
+  update(JOB, { status: 'cancelling' });
+  return { ...JOB };
+};
+
+module.exports.status = () => (JOB ? { ...JOB } : null);
@@ -0,0 +1,69 @@
+const config = require('../constants/config');
+
+const STATS = {};
+
+/**
+ * Returns the ordered detector stages for a camera.
+ * Without an enabled chain, or when none of its detectors are configured, every configured
+ * detector runs in a single stage.
+ *
+ * @param {string} camera - Camera name.
+ * @return {Array<Array<string>>} Detector names grouped by stage.
+ */
+module.exports.stages = (camera) => {
+  const DETECTORS = config.detectors();
+  const { CHAIN } = config.detect(camera);
+  if (!CHAIN?.ENABLED || !CHAIN.STAGES?.length) return [DETECTORS];
+
+  const stages = CHAIN.STAGES.map((stage) =>
+    (Array.isArray(stage) ? stage : [stage]).filter((detector) => DETECTORS.includes(detector))
+  ).filter((stage) => stage.length);
+  if (!stages.length) {
+    console.error(`chain error: no detectors of the ${camera} chain are configured`);
+    return [DETECTORS];
+  }
+  return stages;
+};
+
+/**
+ * Decides if the next stage of the chain should be asked.
+ *
+ * @param {string} camera - Camera name.
+ * @param {Array} results - Per detector results of the current stage.
+ * @return {boolean} True if the next stage should process the image.
+ */
+module.exports.fallback = (camera, results) => {
+  const { FALLBACK } = config.detect(camera).CHAIN;
+  const faces = results.flatMap((obj) => obj.results);
+  const { MIN, MAX } = FALLBACK.UNCERTAIN || {};
+
+  if (FALLBACK.NO_MATCH && !faces.filter(({ match }) => match).length) return true;
+  if (FALLBACK.UNKNOWN && faces.filter(({ name }) => name === 'unknown').length) return true;
+  if (MAX > MIN && faces.filter(({ confidence }) => confidence >= MIN && confidence < MAX).length)
+    return true;
+  return false;
+};
+
+/**
+ * Records that a stage processed an image and if the chain stopped there.
+ *
+ * @param {object} options
+ * @param {string} options.camera - Camera name.
+ * @param {number} options.stage - Index of the stage.
+ * @param {Array<string>} options.detectors - Detectors in the stage.
+ * @param {boolean} options.resolved - True if no further stage was asked.
+ */
+module.exports.track = ({ camera, stage, detectors, resolved }) => {
+  if (!STATS[camera]) STATS[camera] = [];
+  if (!STATS[camera][stage])
+    STATS[camera][stage] = { stage: stage + 1, detectors, calls: 0, resolved: 0 };
+  STATS[camera][stage].detectors = detectors;
+  STATS[camera][stage].calls += 1;
+  if (resolved) STATS[camera][stage].resolved += 1;
+};
+
+module.exports.status = () =>
+  Object.entries(STATS).reduce((output, [camera, stages]) => {
+    output[camera] = stages.filter((stage) => stage);
+    return output;
+  }, {});
@@ -0,0 +1,80 @@
+const CHAIN = {
+  ENABLED: true,
+  STAGES: ['fixture', ['compreface', 'rekognition'], 'missing'],
+  FALLBACK: { NO_MATCH: true, UNKNOWN: true, UNCERTAIN: { MIN: 60, MAX: 80 } },
+};
+
+jest.mock('../constants/config', () => {
+  const config = jest.fn(() => ({}));
+  config.detectors = () => ['fixture', 'compreface', 'rekognition'];
+  config.detect = jest.fn(() => ({ CHAIN }));
+  return config;
+});
+
+const config = require('../constants/config');
+const chain = require('./chain.util');
+
+const stage = (...faces) => [{ detector: 'fixture', results: faces }];
+
+describe('stages', () => {
+  it('should group the configured detectors of the chain by stage', () => {
+    expect(chain.stages('front')).toEqual([['fixture'], ['compreface', 'rekognition']]);
+  });
+
+  it('should run every detector in one stage without a chain', () => {
+    config.detect.mockReturnValueOnce({ CHAIN: { ...CHAIN, ENABLED: false } });
+    expect(chain.stages('front')).toEqual([['fixture', 'compreface', 'rekognition']]);
+  });
+
+  it('should run every detector in one stage when none of the chain is configured', () => {
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+    config.detect.mockReturnValueOnce({ CHAIN: { ...CHAIN, STAGES: ['missing', ['gone']] } });
+    expect(chain.stages('front')).toEqual([['fixture', 'compreface', 'rekognition']]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('chain error'));
+  });
+});
+
+describe('fallback', () => {
+  it('should stop at a confident match', () => {
+    expect(chain.fallback('front', stage({ name: 'alice', match: true, confidence: 95 }))).toBe(
+      false
+    );
+  });
+
+  it('should fall through when nothing matched', () => {
+    expect(chain.fallback('front', stage())).toBe(true);
+    expect(chain.fallback('front', stage({ name: 'bob', match: false, confidence: 40 }))).toBe(
+      true
+    );
+  });
+
+  it('should fall through on unknown faces', () => {
+    expect(
+      chain.fallback(
+        'front',
+        stage(
+          { name: 'alice', match: true, confidence: 95 },
+          { name: 'unknown', match: false, confidence: 0 }
+        )
+      )
+    ).toBe(true);
+  });
+
+  it('should fall through on a match in the uncertain range', () => {
+    expect(chain.fallback('front', stage({ name: 'alice', match: true, confidence: 70 }))).toBe(
+      true
+    );
+    expect(chain.fallback('front', stage({ name: 'alice', match: true, confidence: 80 }))).toBe(
+      false
+    );
+  });
+
+  it('should only fall through on the enabled conditions', () => {
+    config.detect.mockReturnValue({ CHAIN: { ...CHAIN, FALLBACK: { UNKNOWN: true } } });
+    expect(chain.fallback('front', stage())).toBe(false);
+    expect(chain.fallback('front', stage({ name: 'alice', match: true, confidence: 70 }))).toBe(
+      false
+    );
+    expect(chain.fallback('front', stage({ name: 'unknown', match: false }))).toBe(true);
+  });
+});
@@ -0,0 +1,188 @@
+const database = require('./db.util');
+const time = require('./time.util');
+const mqtt = require('./mqtt.util');
+const { emit } = require('./socket.util');
+const config = require('../constants/config');
+
+const { CLOSED, OPEN, HALF_OPEN } = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half-open' };
+const LATENCY_SAMPLES = 20;
+const BREAKERS = {};
+
+const settings = (detector) => ({
+  ...config()?.circuit_breaker,
+  ...config()?.detectors?.[detector]?.circuit_breaker,
+});
+
+const get = (detector) => {
+  if (!BREAKERS[detector])
+    BREAKERS[detector] = {
+      state: CLOSED,
+      failures: 0,
+      probing: false,
+      openedAt: null,
+      changedAt: null,
+      lastError: null,
+      latency: [],
+    };
+  return BREAKERS[detector];
+};
+
+// state survives restarts so a detector that was down stays skipped until its cool-off passes
+const save = (detector) => {
+  const { state, failures, openedAt, changedAt, lastError } = get(detector);
+  try {
+    database
+      .connect()
+      .prepare(
+        `INSERT INTO detector_state (detector, state, failures, openedAt, changedAt, lastError)
+          VALUES (:detector, :state, :failures, :openedAt, :changedAt, :lastError)
+          ON CONFLICT (detector) DO UPDATE SET state = :state, failures = :failures, openedAt = :openedAt, changedAt = :changedAt, lastError = :lastError`
+      )
+      .run({
+        detector,
+        state,
+        failures,
+        openedAt,
+        changedAt,
+        lastError: lastError ? JSON.stringify(lastError) : null,
+      });
+  } catch (error) {
+    error.message = `circuit breaker save error: ${error.message}`;
+    console.error(error);
+  }
+};
+
+const transition = (detector, state) => {
+  const breaker = get(detector);
+  if (breaker.state === state) return;
+  const previous = breaker.state;
+  breaker.state = state;
+  breaker.changedAt = time.utc();
+  if (state === OPEN) breaker.openedAt = Date.now();
+
+  const payload = {
+    detector,
+    state,
+    previous,
+    failures: breaker.failures,
+    lastError: breaker.lastError,
+    timestamp: breaker.changedAt,
+  };
+  const log = state === CLOSED ? console.log : console.warn;
+  log(`${detector} circuit ${state}${state === OPEN ? `: ${breaker.lastError?.message}` : ''}`);
+  emit('detector', payload);
+  mqtt.detector(payload);
+};
+
+/**
+ * Checks if a detector may be called. An open circuit moves to half-open once the cool-off period
+ * has passed and lets a single probe request through.
+ *
+ * @param {string} detector - Detector name.
+ * @return {boolean} True if the detector should be called.
+ */
+module.exports.allow = (detector) => {
+  const { enabled, cool_off: coolOff } = settings(detector);
+  if (!enabled) return true;
+  const breaker = get(detector);
+
+  if (breaker.state === OPEN && Date.now() - breaker.openedAt >= coolOff * 1000)
+    transition(detector, HALF_OPEN);
+
+  if (breaker.state === CLOSED) return true;
+  if (breaker.state === HALF_OPEN && !breaker.probing) {
+    breaker.probing = true;
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Records a successful call and closes the circuit.
+ *
+ * @param {string} detector - Detector name.
+ * @param {number} duration - Request duration in seconds.
+ */
+module.exports.success = (detector, duration) => {
+  const breaker = get(detector);
+  const changed = breaker.failures > 0 || breaker.state !== CLOSED;
+  breaker.latency = [duration, ...breaker.latency].slice(0, LATENCY_SAMPLES);
+  breaker.failures = 0;
+  breaker.probing = false;
+  transition(detector, CLOSED);
+  if (changed) save(detector);
+};
+
+/**
+ * Records a failed call and opens the circuit once the failure threshold is reached.
+ * A failed half-open probe opens the circuit again.
+ *
+ * @param {string} detector - Detector name.
+ * @param {Error} error - Error thrown by the detector.
+ */
+module.exports.failure = (detector, error) => {
+  const { enabled, threshold } = settings(detector);
+  const breaker = get(detector);
+  breaker.failures += 1;
+  breaker.probing = false;
+  breaker.lastError = { message: error.message, code: error.code || null, time: time.utc() };
+  if (enabled && (breaker.state === HALF_OPEN || breaker.failures >= threshold))
+    transition(detector, OPEN);
+  save(detector);
+};
+
+/**
+ * Lets another request probe a half-open circuit when the probe that was allowed never reached
+ * the detector.
+ *
+ * @param {string} detector - Detector name.
+ */
+module.exports.release = (detector) => {
+  get(detector).probing = false;
+};
+
+/**
+ * Restores the state of every detector saved before a restart.
+ */
+module.exports.init = () => {
+  try {
+    database
+      .connect()
+      .prepare('SELECT * FROM detector_state')
+      .all()
+      .forEach(({ detector, state, failures, openedAt, changedAt, lastError }) => {
+        Object.assign(get(detector), {
+          state,
+          failures,
+          openedAt,
+          changedAt,
+          lastError: lastError ? JSON.parse(lastError) : null,
+        });
+      });
+  } catch (error) {
+    error.message = `circuit breaker init error: ${error.message}`;
+    console.error(error);
+  }
+};
+
+module.exports.status = () =>
+  config.detectors().map((detector) => {
+    const { state, failures, openedAt, changedAt, lastError, latency } = get(detector);
+    const { enabled, cool_off: coolOff } = settings(detector);
+    return {
+      detector,
+      enabled: !!enabled,
+      state,
+      failures,
+      changedAt,
+      retryAt: state === OPEN ? new Date(openedAt + coolOff * 1000).toISOString() : undefined,
+      lastError,
+      latency: {
+        last: latency.length ? latency[0] : null,
+        average: latency.length
+          ? parseFloat((latency.reduce((a, b) => a + b, 0) / latency.length).toFixed(2))
+          : null,
+        samples: latency.length,
+      },
+    };
+  });
@@ -0,0 +1,124 @@
+const ROWS = {};
+
+jest.mock('./db.util', () => ({
+  connect: () => ({
+    prepare: () => ({
+      run: (row) => {
+        ROWS[row.detector] = row;
+      },
+      all: () => Object.values(ROWS),
+    }),
+  }),
+}));
+jest.mock('./time.util', () => ({ utc: () => '2026-01-01T00:00:00.000Z' }));
+jest.mock('./mqtt.util', () => ({ detector: jest.fn() }));
+jest.mock('./socket.util', () => ({ emit: jest.fn() }));
+jest.mock('../constants/config', () => {
+  const config = jest.fn(() => ({
+    circuit_breaker: { enabled: true, threshold: 2, cool_off: 60 },
+    detectors: { disabled: { circuit_breaker: { enabled: false } } },
+  }));
+  config.detectors = () => [];
+  return config;
+});
+
+const mqtt = require('./mqtt.util');
+const breaker = require('./circuit-breaker.util');
+
+const error = new Error('connect ECONNREFUSED');
+
+const open = (detector) => {
+  breaker.failure(detector, error);
+  breaker.failure(detector, error);
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.clearAllMocks();
+});
+afterEach(() => jest.useRealTimers());
+
+describe('closed', () => {
+  it('should allow requests until the failure threshold is reached', () => {
+    breaker.failure('closed', error);
+    expect(breaker.allow('closed')).toBe(true);
+    breaker.failure('closed', error);
+    expect(breaker.allow('closed')).toBe(false);
+    expect(mqtt.detector).toHaveBeenCalledWith(
+      expect.objectContaining({ detector: 'closed', state: 'open', previous: 'closed' })
+    );
+  });
+
+  it('should reset the failure count on success', () => {
+    breaker.failure('reset', error);
+    breaker.success('reset', 1);
+    breaker.failure('reset', error);
+    expect(breaker.allow('reset')).toBe(true);
+  });
+});
+
+describe('open', () => {
+  it('should let a single probe through once the cool-off has passed', () => {
+    open('probe');
+    jest.advanceTimersByTime(59 * 1000);
+    expect(breaker.allow('probe')).toBe(false);
+    jest.advanceTimersByTime(1000);
+    expect(breaker.allow('probe')).toBe(true);
+    expect(breaker.allow('probe')).toBe(false);
+  });
+});
+
+describe('half-open', () => {
+  it('should close after a successful probe', () => {
+    open('recovered');
+    jest.advanceTimersByTime(60 * 1000);
+    breaker.allow('recovered');
+    breaker.success('recovered', 1);
+    expect(breaker.allow('recovered')).toBe(true);
+    expect(breaker.allow('recovered')).toBe(true);
+  });
+
+  it('should open again after a failed probe', () => {
+    open('still-down');
+    jest.advanceTimersByTime(60 * 1000);
+    breaker.allow('still-down');
+    breaker.failure('still-down', error);
+    expect(breaker.allow('still-down')).toBe(false);
+    jest.advanceTimersByTime(60 * 1000);
+    expect(breaker.allow('still-down')).toBe(true);
+  });
+
+  it('should let another probe through when the probe is released without a request', () => {
+    open('released');
+    jest.advanceTimersByTime(60 * 1000);
+    breaker.allow('released');
+    expect(breaker.allow('released')).toBe(false);
+    breaker.release('released');
+    expect(breaker.allow('released')).toBe(true);
+  });
+});
+
+describe('disabled', () => {
+  it('should always allow requests', () => {
+    open('disabled');
+    expect(breaker.allow('disabled')).toBe(true);
+  });
+});
+
+describe('init', () => {
+  it('should restore the saved state of a detector', () => {
+    open('restored');
+    expect(ROWS.restored).toMatchObject({ state: 'open', failures: 2 });
+
+    jest.isolateModules(() => {
+      const restarted = require('./circuit-breaker.util');
+      expect(restarted.allow('restored')).toBe(true);
+      restarted.init();
+      expect(restarted.allow('restored')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const axios = require('axios');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { jwt } = require('./auth.util');
+const pause = require('./pause.util');
+const storage = require('./storage.util');
+const config = require('../constants/config');
+const { AUTH, SERVER, CAMERAS, FRIGATE, STORAGE, UI } = require('../constants')();
+
+const api = async ({ method = 'get', route, path, params, data }) => {
+  const { data: response } = await axios({
+    method,
+    url: `http://0.0.0.0:${SERVER.PORT}${UI.PATH}/api/${route}${path || ''}`,
+    headers: AUTH ? { authorization: jwt.sign({ route }) } : null,
+    params,
+    data,
+  }).catch((error) => {
+    throw new Error(error.response?.data?.error || error.message);
+  });
+  return response;
+};
+
+/**
+ * Gets the snapshot URL of a camera from its config, falling back to the latest Frigate image.
+ *
+ * @param {string} camera - Lowercase camera name.
+ * @return {string|false} Snapshot URL.
+ */
+module.exports.snapshotURL = (camera) => {
+  const key = Object.keys(CAMERAS || {}).find((name) => name.toLowerCase() === camera);
+  if (CAMERAS?.[key]?.SNAPSHOT?.URL) return CAMERAS[key].SNAPSHOT.URL;
+  if (FRIGATE) return config.frigate({ camera }).URL.LATEST;
+  return false;
+};
+
+const COMMANDS = {
+  recognize: {
+    schema: {
+      camera: Joi.string().required(),
+      url: Joi.string().uri(),
+      attempts: Joi.number().integer().min(1).default(1),
+      break: Joi.boolean().default(true),
+    },
+    run: ({ camera, url, attempts, break: breakMatch }) => {
+      const snapshot = url || this.snapshotURL(camera);
+      if (!snapshot) throw new Error(`no snapshot url for ${camera}`);
+      return api({
+        route: 'recognize',
+        params: { url: snapshot, camera, attempts, break: breakMatch, type: 'mqtt-command' },
+      });
+    },
+  },
+  pause: {
+    schema: { camera: Joi.string().required(), minutes: Joi.number().min(0).default(0) },
+    run: ({ camera, minutes }) => pause.pause(camera, minutes),
+  },
+  resume: {
+    schema: { camera: Joi.string().required() },
+    run: ({ camera }) => pause.resume(camera),
+  },
+  reprocess: {
+    schema: { match: Joi.number().integer().required() },
+    run: ({ match }) => api({ method: 'patch', route: 'match', path: `/reprocess/${match}` }),
+  },
+  train: {
+    schema: {
+      name: Joi.string().required(),
+      urls: Joi.array().items(Joi.string().uri()).single().min(1).required(),
+    },
+    run: ({ name, urls }) =>
+      api({ method: 'post', route: 'train', path: `/add/${name}`, data: { urls } }),
+  },
+  purge: {
+    schema: {},
+    run: async () => ({ purged: await storage.clean() }),
+  },
+  reload: {
+    schema: {},
+    // the config file is watched and changing it restarts double take
+    run: () => {
+      const now = new Date();
+      fs.utimesSync(`${STORAGE.CONFIG.PATH}/config.yml`, now, now);
+      return { message: 'restarting to reload config' };
+    },
+  },
+};
+
+module.exports.COMMANDS = Object.keys(COMMANDS);
+
+/**
+ * Runs a command received on `<commands topic>/<command>`. The payload is JSON and may include an
+ * id that is used for the result topic, otherwise one is generated. Characters other than letters,
+ * numbers, `_`, `-` and `.` are replaced so the id can't add levels or wildcards to the topic.
+ *
+ * @param {string} command - Command name from the topic.
+ * @param {string} message - JSON payload.
+ * @return {Promise<object>} Result with id, command, success and the result or error.
+ */
+module.exports.run = async (command, message) => {
+  let payload = {};
+  try {
+    payload = message.length ? JSON.parse(message) : {};
+  } catch (error) {
+    return { id: uuidv4(), command, success: false, error: `invalid JSON: ${error.message}` };
+  }
+  const { id: requested, ...options } = payload || {};
+  const id = String(requested ?? '').replace(/[^\w.-]/g, '-') || uuidv4();
+
+  try {
+    if (!COMMANDS[command]) throw new Error(`unknown command, use ${this.COMMANDS.join(', ')}`);
+    const { value, error } = Joi.object(COMMANDS[command].schema).validate(options);
+    if (error) throw new Error(error.message);
+
+    console.verbose(`MQTT: running ${command} command ${id}`);
+    const result = await COMMANDS[command].run(value);
+    return { id, command, success: true, result };
+  } catch (error) {
+    console.error(`MQTT: ${command} command ${id} error: ${error.message}`);
+    return { id, command, success: false, error: error.message };
+  }
+};
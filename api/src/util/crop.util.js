@@ -0,0 +1,79 @@
+const { createCanvas, loadImage } = require('canvas');
+const filesystem = require('./fs.util');
+
+/**
+ * Grows a box by a fraction of its size on every side and clamps it to the image.
+ *
+ * @param {object} box - Box with top, left, width and height.
+ * @param {number} padding - Fraction of the box width and height added to each side.
+ * @param {object} image - Image width and height.
+ * @return {object} The padded box.
+ */
+module.exports.pad = (box, padding, { width, height }) => {
+  const left = Math.max(Math.round(box.left - box.width * padding), 0);
+  const top = Math.max(Math.round(box.top - box.height * padding), 0);
+  const right = Math.min(Math.round(box.left + box.width * (1 + padding)), width);
+  const bottom = Math.min(Math.round(box.top + box.height * (1 + padding)), height);
+  return { top, left, width: right - left, height: bottom - top };
+};
+
+/**
+ * Crops a padded region of an image.
+ *
+ * @param {object} options - Options.
+ * @param {string} options.source - Image path.
+ * @param {object} options.box - Region to crop.
+ * @param {number} options.padding - Fraction of the box width and height added to each side.
+ * @param {object} options.from - Width and height of the image the box belongs to if it was
+ * found on a different resolution, the box is scaled to the source image.
+ * @return {Promise<object>} JPEG buffer and the region that was cropped.
+ */
+module.exports.buffer = async ({ source, box, padding = 0, from }) => {
+  const image = await loadImage(source);
+  const [x, y] = from ? [image.width / from.width, image.height / from.height] : [1, 1];
+  const region = this.pad(
+    { top: box.top * y, left: box.left * x, width: box.width * x, height: box.height * y },
+    padding,
+    image
+  );
+  const canvas = createCanvas(region.width, region.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(
+    image,
+    region.left,
+    region.top,
+    region.width,
+    region.height,
+    0,
+    0,
+    region.width,
+    region.height
+  );
+  return { buffer: canvas.toBuffer('image/jpeg'), region };
+};
+
+/**
+ * Writes a padded region of an image to a new file.
+ *
+ * @param {object} options - Options passed to `buffer()`.
+ * @param {string} options.destination - Path of the cropped image.
+ * @return {Promise<object>} The region that was written, used to map boxes back with `offset()`.
+ */
+module.exports.write = async ({ destination, ...options }) => {
+  const { buffer, region } = await this.buffer(options);
+  await filesystem.writer(destination, buffer);
+  return region;
+};
+
+/**
+ * Moves boxes found in a cropped image back into full image coordinates.
+ *
+ * @param {Array<object>} results - Normalized detector results.
+ * @param {object} region - Region returned by `write()`.
+ * @return {Array<object>} Results with translated boxes.
+ */
+module.exports.offset = (results, { top, left }) =>
+  results.map((result) => ({
+    ...result,
+    box: { ...result.box, top: result.box.top + top, left: result.box.left + left },
+  }));
@@ -0,0 +1,77 @@
+jest.mock('canvas', () => ({ createCanvas: jest.fn(), loadImage: jest.fn() }));
+jest.mock('./fs.util', () => ({ writer: jest.fn() }));
+
+const { createCanvas, loadImage } = require('canvas');
+const filesystem = require('./fs.util');
+const { pad, buffer, write, offset } = require('./crop.util');
+
+const image = { width: 1000, height: 800 };
+const context = { drawImage: jest.fn() };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  loadImage.mockResolvedValue(image);
+  createCanvas.mockImplementation((width, height) => ({
+    width,
+    height,
+    getContext: () => context,
+    toBuffer: () => Buffer.from(`${width}x${height}`),
+  }));
+});
+
+describe('pad', () => {
+  it('should grow a box by the padding on every side', () => {
+    expect(pad({ top: 100, left: 200, width: 100, height: 50 }, 0.5, image)).toEqual({
+      top: 75,
+      left: 150,
+      width: 200,
+      height: 100,
+    });
+  });
+
+  it('should clamp the box to the image', () => {
+    expect(pad({ top: 10, left: 950, width: 100, height: 100 }, 0.25, image)).toEqual({
+      top: 0,
+      left: 925,
+      width: 75,
+      height: 135,
+    });
+  });
+});
+
+describe('buffer', () => {
+  it('should draw only the padded region of the image', async () => {
+    const box = { top: 100, left: 200, width: 100, height: 100 };
+    const output = await buffer({ source: 'full.jpg', box, padding: 0.25 });
+
+    const region = { top: 75, left: 175, width: 150, height: 150 };
+    expect(loadImage).toHaveBeenCalledWith('full.jpg');
+    expect(createCanvas).toHaveBeenCalledWith(150, 150);
+    expect(context.drawImage).toHaveBeenCalledWith(image, 175, 75, 150, 150, 0, 0, 150, 150);
+    expect(output).toEqual({ buffer: Buffer.from('150x150'), region });
+  });
+
+  it('should scale a box found on a different resolution to the source image', async () => {
+    const box = { top: 50, left: 100, width: 50, height: 40 };
+    const { region } = await buffer({ source: 'full.jpg', box, from: { width: 500, height: 400 } });
+    expect(region).toEqual({ top: 100, left: 200, width: 100, height: 80 });
+  });
+});
+
+describe('write', () => {
+  it('should write the cropped image and return its region', async () => {
+    const box = { top: 0, left: 0, width: 100, height: 100 };
+    const region = await write({ source: 'full.jpg', destination: 'crop.jpg', box });
+    expect(filesystem.writer).toHaveBeenCalledWith('crop.jpg', Buffer.from('100x100'));
+    expect(region).toEqual({ top: 0, left: 0, width: 100, height: 100 });
+  });
+});
+
+describe('offset', () => {
+  it('should move boxes from the crop back into the full image', () => {
+    const results = [{ name: 'alice', box: { top: 10, left: 20, width: 30, height: 40 } }];
+    expect(offset(results, { top: 75, left: 175 })).toEqual([
+      { name: 'alice', box: { top: 85, left: 195, width: 30, height: 40 } },
+    ]);
+  });
+});
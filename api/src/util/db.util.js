@@ -52,13 +52,87 @@ async function init() {
         filename,
         event JSON,
         response JSON,
-        createdAt TIMESTAMP
+        createdAt TIMESTAMP,
+        eventId TEXT,
+        quality REAL
+    )`
+    ).run();
+
+    db.prepare(
+      `CREATE TABLE IF NOT EXISTS event (
+        id TEXT PRIMARY KEY,
+        source,
+        camera,
+        zones JSON,
+        identities JSON,
+        filename,
+        startedAt TIMESTAMP,
+        endedAt TIMESTAMP,
+        createdAt TIMESTAMP,
+        updatedAt TIMESTAMP,
+        votes JSON
+    )`
+    ).run();
+
+    db.prepare(
+      `CREATE TABLE IF NOT EXISTS presence (
+        name TEXT PRIMARY KEY,
+        state,
+        camera,
+        zones JSON,
+        lastSeen TIMESTAMP,
+        changedAt TIMESTAMP,
+        expiresAt TIMESTAMP
+    )`
+    ).run();
+
+    db.prepare(
+      `CREATE TABLE IF NOT EXISTS presence_sighting (
+        name,
+        camera,
+        zone,
+        lastSeen TIMESTAMP,
+        PRIMARY KEY (name, camera, zone)
+    )`
+    ).run();
+
+    db.prepare(
+      `CREATE TABLE IF NOT EXISTS detector_state (
+        detector TEXT PRIMARY KEY,
+        state,
+        failures INTEGER,
+        openedAt INTEGER,
+        changedAt TIMESTAMP,
+        lastError JSON
+    )`
+    ).run();
+
+    db.prepare(
+      `CREATE TABLE IF NOT EXISTS notification (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service,
+        rule,
+        eventId,
+        filename,
+        camera,
+        summary,
+        payload JSON,
+        status,
+        error,
+        retries INTEGER,
+        nextRetryAt TIMESTAMP,
+        createdAt TIMESTAMP,
+        updatedAt TIMESTAMP
     )`
     ).run();
 
     db.exec(`CREATE INDEX IF NOT EXISTS idx_file_createdAt ON file(createdAt)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_match_createdAt ON match(createdAt)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_match_filename ON match(filename)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_match_eventId ON match(eventId)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_event_startedAt ON event(startedAt)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_notification_createdAt ON notification(createdAt)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_notification_status ON notification(status)`);
     db.exec(
       `CREATE INDEX IF NOT EXISTS idx_match_response_match ON match(json_extract(response, '$.match'))`
     );
@@ -85,6 +159,42 @@ function migrations() {
       db.prepare('DROP TABLE IF EXISTS match').run();
     }
 
+    const matchColumns = db
+      .prepare('PRAGMA table_info(match)')
+      .all()
+      .map((obj) => obj.name);
+    if (matchColumns.length && !matchColumns.includes('eventId')) {
+      db.exec(
+        `
+          BEGIN TRANSACTION;
+          ALTER TABLE match ADD COLUMN eventId TEXT;
+          UPDATE match SET eventId = json_extract(event, '$.id');
+          COMMIT;
+      `
+      );
+    }
+
+    if (matchColumns.length && !matchColumns.includes('quality')) {
+      db.exec(
+        `
+          BEGIN TRANSACTION;
+          ALTER TABLE match ADD COLUMN quality REAL;
+          UPDATE match SET quality = (
+            SELECT MAX(json_extract(face.value, '$.quality'))
+            FROM json_each(match.response) AS result, json_each(result.value, '$.results') AS face
+          );
+          COMMIT;
+      `
+      );
+    }
+
+    const eventColumns = db
+      .prepare('PRAGMA table_info(event)')
+      .all()
+      .map((obj) => obj.name);
+    if (eventColumns.length && !eventColumns.includes('votes'))
+      db.prepare('ALTER TABLE event ADD COLUMN votes JSON').run();
+
     if (
       db
         .prepare('PRAGMA table_info(file)')
@@ -182,25 +292,79 @@ function createTrain({ id, name, filename, detector, meta }) {
     createdAt: time.utc(),
   });
 }
+// best face quality score of a match, kept in its own column so it can be queried without parsing the response
+function quality(response) {
+  const scores = (response || [])
+    .flatMap(({ results }) => results || [])
+    .map((face) => face.quality)
+    .filter((score) => typeof score === 'number');
+  return scores.length ? Math.max(...scores) : null;
+}
 function createMatch({ filename, event, response }) {
   const db = connect();
   db.prepare(
-    `INSERT INTO match (id, filename, event, response, createdAt) VALUES (:id, :filename, :event, :response, :createdAt)`
+    `INSERT INTO match (id, filename, event, response, createdAt, eventId, quality) VALUES (:id, :filename, :event, :response, :createdAt, :eventId, :quality)`
   ).run({
     id: null,
     filename,
     event: event ? JSON.stringify(event) : null,
     response: response ? JSON.stringify(response) : null,
     createdAt: time.utc(),
+    eventId: event?.id || null,
+    quality: quality(response),
   });
 }
+function createEvent({
+  id,
+  source,
+  camera,
+  zones,
+  identities,
+  filename,
+  startedAt,
+  endedAt,
+  votes,
+}) {
+  const db = connect();
+  db.prepare(
+    `INSERT INTO event (id, source, camera, zones, identities, filename, startedAt, endedAt, createdAt, updatedAt, votes)
+        VALUES (:id, :source, :camera, :zones, :identities, :filename, :startedAt, :endedAt, :createdAt, :updatedAt, :votes)
+        ON CONFLICT (id) DO UPDATE SET zones = :zones, identities = :identities, filename = :filename, endedAt = COALESCE(:endedAt, endedAt), updatedAt = :updatedAt, votes = COALESCE(:votes, votes);`
+  ).run({
+    id,
+    source,
+    camera,
+    zones: JSON.stringify(zones || []),
+    identities: JSON.stringify(identities || []),
+    filename: filename || null,
+    startedAt,
+    endedAt: endedAt || null,
+    createdAt: time.utc(),
+    updatedAt: time.utc(),
+    votes: votes ? JSON.stringify(votes) : null,
+  });
+}
+function getEvent(id) {
+  const db = connect();
+  const [event] = db.prepare(`SELECT * FROM event WHERE id = ?`).all(id);
+  return event || false;
+}
+function deleteOrphanedEvents() {
+  const db = connect();
+  db.prepare(
+    `DELETE FROM event WHERE id NOT IN (SELECT eventId FROM match WHERE eventId IS NOT NULL)`
+  ).run();
+}
 
 function updateMatch({ id, event, response }) {
   event.updatedAt = time.utc();
   const db = connect();
-  db.prepare(`UPDATE match SET event = :event, response = :response WHERE id = :id`).run({
+  db.prepare(
+    `UPDATE match SET event = :event, response = :response, quality = :quality WHERE id = :id`
+  ).run({
     event: event ? JSON.stringify(event) : null,
     response: response ? JSON.stringify(response) : null,
+    quality: quality(response),
     id,
   });
 }
@@ -217,11 +381,13 @@ module.exports = {
     trained: getTrained,
     filesById: getFilesById,
     fileByFilename: getFileByFilename,
+    event: getEvent,
   },
   create: {
     file: createFile,
     match: createMatch,
     train: createTrain,
+    event: createEvent,
   },
   update: {
     match: updateMatch,
@@ -229,5 +395,8 @@ module.exports = {
   resync: {
     files: resync,
   },
+  delete: {
+    orphanedEvents: deleteOrphanedEvents,
+  },
   params,
 };
@@ -1,7 +1,7 @@
 const factory = require('../factory');
 
-module.exports.recognize = ({ detector, key, test }) =>
-  factory.get(detector).recognize({ key, test });
+module.exports.recognize = ({ detector, key, test, source }) =>
+  factory.get(detector).recognize({ key, test, source });
 module.exports.train = ({ name, key, detector }) => factory.get(detector).train({ name, key });
 module.exports.remove = ({ name, ids, detector }) => factory.get(detector).remove({ name, ids });
 module.exports.normalize = ({ camera, detector, data }) =>
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const actions = require('./actions');
+const sleep = require('../sleep.util');
+const config = require('../../constants/config');
+
+const TRAINED = {};
+
+// read on every call so rule changes apply without a restart
+const settings = () => config().detectors?.fixture || {};
+
+const hash = (key) => crypto.createHash('sha1').update(fs.readFileSync(key)).digest('hex');
+
+const rules = (FIXTURE) => {
+  const output = [...(FIXTURE.rules || [])];
+  if (FIXTURE.directory && fs.existsSync(FIXTURE.directory)) {
+    fs.readdirSync(FIXTURE.directory)
+      .filter((file) => file.toLowerCase().endsWith('.json'))
+      .sort()
+      .forEach((file) => {
+        try {
+          const rule = JSON.parse(fs.readFileSync(path.join(FIXTURE.directory, file), 'utf8'));
+          // files without a hash or filename rule are labelled by the image hash they answer
+          if (!rule.hash && !rule.filename) rule.hash = path.basename(file, path.extname(file));
+          output.push(rule);
+        } catch (error) {
+          console.warn(`fixture: unable to parse ${file}: ${error.message}`);
+        }
+      });
+  }
+  return output;
+};
+
+const simulate = async (FIXTURE, { latency = FIXTURE.latency, error } = {}) => {
+  if (latency > 0) await sleep(latency);
+  const { rate, code, message } = FIXTURE.errors || {};
+  if (error || (rate > 0 && Math.random() < rate)) {
+    const fixtureError = new Error(typeof error === 'string' ? error : message);
+    if (code) fixtureError.code = code;
+    throw fixtureError;
+  }
+};
+
+/**
+ * Answers with the faces of the first rule that matches the image hash or the source filename.
+ *
+ * @param {object} options - Options.
+ * @param {string} options.key - Path of the image to recognize.
+ * @param {string} options.source - URL or file the image came from, defaults to the image path.
+ * @return {Promise<object>} Response shaped like the other detectors.
+ */
+module.exports.recognize = async ({ key, source = key }) => {
+  const FIXTURE = settings();
+  const sha1 = hash(key);
+  const filename = path.basename(String(source).split('?')[0]);
+  const rule = rules(FIXTURE).find(
+    (obj) => obj.hash === sha1 || (obj.filename && new RegExp(obj.filename).test(filename))
+  );
+  await simulate(FIXTURE, rule);
+
+  const faces = rule
+    ? rule.faces || []
+    : TRAINED[sha1]
+    ? [{ name: TRAINED[sha1], confidence: 100, box: FIXTURE.box }]
+    : FIXTURE.faces || [];
+  return { status: 200, data: { success: true, hash: sha1, faces } };
+};
+
+module.exports.train = async ({ name, key }) => {
+  await simulate(settings());
+  const sha1 = hash(key);
+  TRAINED[sha1] = name;
+  return { status: 200, data: { success: true, name, hash: sha1 } };
+};
+
+module.exports.remove = async ({ name }) => {
+  await simulate(settings());
+  Object.keys(TRAINED)
+    .filter((sha1) => !name || TRAINED[sha1] === name)
+    .forEach((sha1) => delete TRAINED[sha1]);
+  return { status: 200, data: { success: true, name } };
+};
+
+module.exports.normalize = ({ camera, data }) => {
+  if (!data.success) throw new Error(data.error);
+  const { MATCH, UNKNOWN } = config.detect(camera);
+  const normalized = data.faces.flatMap((obj) => {
+    const confidence = obj.confidence ?? 0;
+    const box = { top: 0, left: 0, width: 0, height: 0, ...obj.box };
+    const output = {
+      name: obj.name && confidence >= UNKNOWN.CONFIDENCE ? obj.name.toLowerCase() : 'unknown',
+      confidence,
+      match:
+        !!obj.name &&
+        obj.name !== 'unknown' &&
+        confidence >= MATCH.CONFIDENCE &&
+        box.width * box.height >= MATCH.MIN_AREA,
+      box,
+    };
+    const checks = actions.checks({ MATCH, UNKNOWN, ...output });
+    if (checks.length) output.checks = checks;
+    return checks !== false ? output : [];
+  });
+  return normalized;
+};
@@ -0,0 +1,128 @@
+const BOX = { top: 10, left: 10, width: 50, height: 50 };
+
+jest.mock('./actions', () => ({ checks: jest.fn(() => []) }));
+jest.mock('../sleep.util', () => jest.fn(async () => {}));
+jest.mock('../../constants/config', () => {
+  const config = jest.fn(() => ({
+    detectors: {
+      fixture: {
+        directory: '/fixtures',
+        box: { top: 0, left: 0, width: 100, height: 100 },
+        faces: [{ name: 'unknown', confidence: 0 }],
+        rules: [
+          { filename: 'front-.*\\.jpg$', faces: [{ name: 'alice', confidence: 90, box: BOX }] },
+          { filename: 'timeout', error: 'timeout of 1000ms exceeded' },
+        ],
+      },
+    },
+  }));
+  config.detect = () => ({
+    MATCH: { CONFIDENCE: 60, MIN_AREA: 1000 },
+    UNKNOWN: { CONFIDENCE: 40 },
+  });
+  return config;
+});
+
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../../constants/config');
+const fixture = require('./fixture');
+
+const sha1 = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+const IMAGES = {
+  '/tmp/front-1.jpg': 'front',
+  '/tmp/back-1.jpg': 'back',
+  '/tmp/side-1.jpg': 'side',
+};
+const FILES = {
+  [`${sha1('back')}.json`]: { faces: [{ name: 'bob', confidence: 75, box: BOX }] },
+  'broken.json': null,
+  'notes.txt': null,
+};
+
+const recognize = async (key) => (await fixture.recognize({ key })).data.faces;
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+  jest.spyOn(fs, 'readdirSync').mockReturnValue(Object.keys(FILES));
+  jest.spyOn(fs, 'readFileSync').mockImplementation((file) => {
+    if (IMAGES[file]) return Buffer.from(IMAGES[file]);
+    const name = file.replace('/fixtures/', '');
+    return FILES[name] ? JSON.stringify(FILES[name]) : '{';
+  });
+});
+
+describe('recognize', () => {
+  it('should answer with the faces of the rule that matches the filename', async () => {
+    expect(await recognize('/tmp/front-1.jpg')).toEqual([
+      { name: 'alice', confidence: 90, box: BOX },
+    ]);
+  });
+
+  it('should match filename rules against the source the image came from', async () => {
+    IMAGES['/tmp/abc-latest-123.jpg'] = 'polled';
+    const { data } = await fixture.recognize({
+      key: '/tmp/abc-latest-123.jpg',
+      source: 'http://camera/uploads/front-2.jpg?size=large',
+    });
+    expect(data.faces).toEqual([{ name: 'alice', confidence: 90, box: BOX }]);
+  });
+
+  it('should read the rules when it is called', async () => {
+    config.mockReturnValueOnce({
+      detectors: { fixture: { rules: [{ filename: 'side', faces: [{ name: 'dave' }] }] } },
+    });
+    expect(await recognize('/tmp/side-1.jpg')).toEqual([{ name: 'dave' }]);
+  });
+
+  it('should answer with the faces of the file named after the image hash', async () => {
+    expect(await recognize('/tmp/back-1.jpg')).toEqual([{ name: 'bob', confidence: 75, box: BOX }]);
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining('unable to parse broken.json')
+    );
+  });
+
+  it('should answer with the default faces when no rule matches', async () => {
+    expect(await recognize('/tmp/side-1.jpg')).toEqual([{ name: 'unknown', confidence: 0 }]);
+  });
+
+  it('should throw the error of the rule', async () => {
+    IMAGES['/tmp/timeout.jpg'] = 'timeout';
+    await expect(fixture.recognize({ key: '/tmp/timeout.jpg' })).rejects.toThrow(
+      'timeout of 1000ms exceeded'
+    );
+  });
+
+  it('should recognize trained images until they are removed', async () => {
+    await fixture.train({ name: 'carol', key: '/tmp/side-1.jpg' });
+    expect(await recognize('/tmp/side-1.jpg')).toEqual([
+      { name: 'carol', confidence: 100, box: { top: 0, left: 0, width: 100, height: 100 } },
+    ]);
+    await fixture.remove({ name: 'carol' });
+    expect(await recognize('/tmp/side-1.jpg')).toEqual([{ name: 'unknown', confidence: 0 }]);
+  });
+});
+
+describe('normalize', () => {
+  it('should match faces over the confidence and area thresholds', () => {
+    const data = {
+      success: true,
+      faces: [
+        { name: 'Alice', confidence: 90, box: BOX },
+        { name: 'bob', confidence: 50, box: BOX },
+        { name: 'carol', confidence: 90, box: { width: 10, height: 10 } },
+        { name: 'dave', confidence: 20 },
+      ],
+    };
+    expect(
+      fixture.normalize({ camera: 'front', data }).map(({ name, match }) => ({ name, match }))
+    ).toEqual([
+      { name: 'alice', match: true },
+      { name: 'bob', match: false },
+      { name: 'carol', match: false },
+      { name: 'unknown', match: false },
+    ]);
+  });
+});
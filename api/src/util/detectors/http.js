@@ -0,0 +1,101 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const fs = require('fs');
+const actions = require('./actions');
+const jsonPath = require('../json-path.util');
+const template = require('../template.util');
+const config = require('../../constants/config');
+
+const { http: HTTP } = config().detectors || {};
+
+const request = async ({ endpoint, key, name }) => {
+  const options = HTTP[endpoint];
+  if (!options?.url) throw new Error(`http ${endpoint} url not configured`);
+
+  const context = { name };
+  const headers = { ...HTTP.headers, ...options.headers };
+  Object.keys(headers).forEach((header) => {
+    headers[header] = template.render(headers[header], context);
+  });
+
+  const fields = Object.entries(options.fields || {});
+  let data = null;
+  if (key || fields.length) {
+    data = new FormData();
+    if (key) data.append(options.field, fs.createReadStream(key));
+    fields.forEach(([field, value]) => data.append(field, template.render(value, context)));
+    Object.assign(headers, data.getHeaders());
+  }
+
+  return axios({
+    method: options.method,
+    timeout: HTTP.timeout * 1000,
+    headers,
+    url: template.render(options.url, context),
+    validateStatus() {
+      return true;
+    },
+    data,
+  });
+};
+
+module.exports.recognize = async ({ key }) => request({ endpoint: 'recognize', key });
+
+module.exports.train = ({ name, key }) => request({ endpoint: 'train', key, name });
+
+module.exports.remove = ({ name }) => {
+  if (!HTTP.remove?.url) return;
+  return request({ endpoint: 'remove', name });
+};
+
+/**
+ * Converts a mapped box in xyxy or xywh format to top, left, width and height. Paths per
+ * coordinate take precedence over the path of the whole box.
+ *
+ * @param {object} face - Face object from the response.
+ * @param {object} mapping - Box mapping from the config.
+ * @return {object} The normalized box.
+ */
+const box = (face, mapping = {}) => {
+  const { left, top, right, bottom, width, height } = mapping;
+  const values =
+    left || top
+      ? [left, top, right || width, bottom || height]
+      : jsonPath.get(face, mapping.path) || [];
+  const [a, b, c, d] = (Array.isArray(values) ? values : Object.values(values)).map(
+    (value) => parseFloat(jsonPath.get(face, value)) || 0
+  );
+  return mapping.format === 'xywh'
+    ? { top: b, left: a, width: c, height: d }
+    : { top: b, left: a, width: c - a, height: d - b };
+};
+
+module.exports.normalize = ({ camera, data }) => {
+  const { response: mapping } = HTTP.recognize;
+  if (mapping.success && !jsonPath.get(data, mapping.success))
+    throw new Error(jsonPath.get(data, mapping.error) || 'unexpected http detector response');
+  const { MATCH, UNKNOWN } = config.detect(camera);
+  const faces = jsonPath.get(data, mapping.faces);
+  if (!Array.isArray(faces)) {
+    console.warn('unexpected http detector faces data');
+    return [];
+  }
+  const normalized = faces.flatMap((obj) => {
+    const score = parseFloat(jsonPath.get(obj, mapping.confidence)) || 0;
+    const confidence = parseFloat((score * mapping.confidence_scale).toFixed(2));
+    const name = jsonPath.get(obj, mapping.name);
+    const known = !!name && !mapping.unknown.includes(name);
+    const faceBox = box(obj, mapping.box);
+    const output = {
+      name: known && confidence >= UNKNOWN.CONFIDENCE ? String(name).toLowerCase() : 'unknown',
+      confidence,
+      match:
+        known && confidence >= MATCH.CONFIDENCE && faceBox.width * faceBox.height >= MATCH.MIN_AREA,
+      box: faceBox,
+    };
+    const checks = actions.checks({ MATCH, UNKNOWN, ...output });
+    if (checks.length) output.checks = checks;
+    return checks !== false ? output : [];
+  });
+  return normalized;
+};
@@ -4,4 +4,6 @@ module.exports = {
   aiserver: require('./aiserver'),
   facebox: require('./facebox'),
   rekognition: require('./rekognition'),
+  fixture: require('./fixture'),
+  http: require('./http'),
 };
@@ -0,0 +1,180 @@
+const database = require('./db.util');
+const time = require('./time.util');
+const quality = require('./quality.util');
+const config = require('../constants/config');
+
+// outputs of every processing run made while a frigate event is active, keyed by event id
+const TRACKED = {};
+// events that never receive an end message are forgotten after an hour
+const EXPIRE = 60 * 60 * 1000;
+
+/**
+ * Merges the matches of a processing run into the identities already stored for an event,
+ * keeping the most confident result per name.
+ *
+ * @param {Array<object>} previous - Identities stored for the event.
+ * @param {Array<object>} matches - Best matches from recognize.util.normalize.
+ * @return {Array<object>} Identities sorted by confidence.
+ */
+module.exports.identities = (previous = [], matches = []) => {
+  const names = {};
+  [
+    ...previous,
+    ...matches.map(({ name, confidence, detector, type, filename }) => ({
+      name,
+      confidence,
+      detector,
+      type,
+      filename,
+    })),
+  ].forEach((identity) => {
+    if (!names[identity.name] || names[identity.name].confidence < identity.confidence)
+      names[identity.name] = identity;
+  });
+  return Object.values(names).sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Creates or updates the event row for a processing run. Events are only stored once at least
+ * one of their frames was saved as a match.
+ *
+ * @param {object} options - Options.
+ * @param {object} options.event - Recognize event with id, type and camera.
+ * @param {object} options.output - Output of the processing run.
+ * @param {string} options.startedAt - When the processing run started.
+ * @param {string} options.endedAt - When the event ended, only known once Frigate ends it.
+ * @param {object} options.votes - Decision trail from voting.util.apply.
+ */
+module.exports.save = ({ event, output, startedAt, endedAt = null, votes }) => {
+  try {
+    const db = database.connect();
+    const [{ count }] = db
+      .prepare('SELECT COUNT(*) count FROM match WHERE eventId = ?')
+      .all(event.id);
+    if (!count) return;
+
+    const previous = database.get.event(event.id);
+    const identities = this.identities(
+      previous ? JSON.parse(previous.identities) : [],
+      output.matches
+    );
+    const [best] = [...identities, previous, ...output.misses, ...output.unknowns].filter(
+      (obj) => obj?.filename
+    );
+
+    database.create.event({
+      id: event.id,
+      source: event.type,
+      camera: event.camera,
+      zones: output.zones,
+      identities,
+      filename: best?.filename,
+      startedAt: previous?.startedAt || startedAt,
+      endedAt,
+      votes,
+    });
+  } catch (error) {
+    error.message = `save event error: ${error.message}`;
+    console.error(error);
+  }
+};
+
+/**
+ * Remembers the output of a processing run until its Frigate event ends. MQTT snapshot runs are
+ * added to every active event on the same camera.
+ *
+ * @param {object} options - Options.
+ * @param {object} options.event - Recognize event with id, type and camera.
+ * @param {object} options.output - Output of the processing run.
+ * @param {string} options.startedAt - When the processing run started.
+ */
+module.exports.track = ({ event, output, startedAt }) => {
+  const now = Date.now();
+  Object.keys(TRACKED).forEach((id) => {
+    if (TRACKED[id].expires <= now) delete TRACKED[id];
+  });
+
+  if (event.type === 'frigate') {
+    if (!TRACKED[event.id]) TRACKED[event.id] = { camera: event.camera, startedAt, outputs: [] };
+    TRACKED[event.id].expires = now + EXPIRE;
+    TRACKED[event.id].outputs.push(output);
+  }
+
+  if (event.type === 'mqtt')
+    Object.values(TRACKED)
+      .filter(({ camera }) => camera.toLowerCase() === event.camera.toLowerCase())
+      .forEach((tracked) => tracked.outputs.push(output));
+};
+
+/**
+ * Combines the outputs of all processing runs of an event into one verdict, keeping the best
+ * result per name the same way recognize.util.normalize does for a single run.
+ *
+ * @param {string} camera - Camera name.
+ * @param {Array<object>} outputs - Outputs of the processing runs.
+ * @return {object} Matches, misses, unknowns, counts and attempts.
+ */
+module.exports.verdict = (camera, outputs = []) => {
+  const { TIE_BREAKER } = config.detect(camera).QUALITY;
+  const best = (results) => {
+    const names = {};
+    results.forEach((result) => {
+      if (!names[result.name] || quality.compare(result, names[result.name], TIE_BREAKER) > 0)
+        names[result.name] = result;
+    });
+    return Object.values(names);
+  };
+
+  const matches = best(outputs.flatMap((output) => output.matches));
+  const misses = best(outputs.flatMap((output) => output.misses)).filter(
+    ({ name }) => !matches.find((match) => match.name === name)
+  );
+  const unknowns = outputs
+    .flatMap((output) => output.unknowns)
+    .sort((a, b) => quality.compare(b, a, TIE_BREAKER));
+
+  const counts = {
+    person: Math.max(0, ...outputs.map((output) => output.counts.person)),
+    match: matches.length,
+    miss: misses.length,
+    unknown: Math.max(0, ...outputs.map((output) => output.counts.unknown)),
+  };
+
+  return {
+    attempts: outputs.reduce((sum, output) => sum + output.attempts, 0),
+    zones: [...new Set(outputs.flatMap((output) => output.zones || []))],
+    matches,
+    misses,
+    unknowns,
+    counts,
+  };
+};
+
+/**
+ * Closes a tracked event, stores its final identities and returns the verdict. The event ends at
+ * the end time Frigate sent, or when the end message arrived.
+ *
+ * @param {object} event - Frigate end event with id and end time in seconds.
+ * @return {object|false} Event summary or false if the event wasn't tracked.
+ */
+module.exports.finalize = (event) => {
+  const tracked = TRACKED[event.id];
+  if (!tracked) return false;
+  delete TRACKED[event.id];
+
+  const { camera, startedAt, outputs } = tracked;
+  const summary = {
+    id: event.id,
+    camera,
+    startedAt,
+    endedAt: event.endTime ? new Date(event.endTime * 1000).toISOString() : time.utc(),
+    ...this.verdict(camera, outputs),
+  };
+  this.save({
+    event: { id: event.id, type: 'frigate', camera },
+    output: summary,
+    startedAt,
+    endedAt: summary.endedAt,
+  });
+  return summary;
+};
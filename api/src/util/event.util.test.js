@@ -0,0 +1,124 @@
+jest.mock('./db.util', () => ({
+  connect: () => ({ prepare: () => ({ all: () => [{ count: 1 }] }) }),
+  get: { event: jest.fn() },
+  create: { event: jest.fn() },
+}));
+jest.mock('./time.util', () => ({ utc: () => '2026-01-01T00:10:00.000Z' }));
+jest.mock('./quality.util', () => ({ compare: (a, b) => a.confidence - b.confidence }));
+jest.mock('../constants/config', () => ({ detect: () => ({ QUALITY: {} }) }));
+
+const database = require('./db.util');
+const events = require('./event.util');
+
+const result = (name, confidence, filename = `${name}-${confidence}.jpg`) => ({
+  name,
+  confidence,
+  detector: 'compreface',
+  type: 'latest',
+  filename,
+});
+
+const output = ({ matches = [], misses = [], unknowns = [], person = 0, unknown = 0 }) => ({
+  attempts: 2,
+  zones: ['porch'],
+  matches,
+  misses,
+  unknowns,
+  counts: { person, match: matches.length, miss: misses.length, unknown },
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('identities', () => {
+  it('should keep the most confident result per name, most confident first', () => {
+    const previous = [result('alice', 80), result('bob', 95)];
+    expect(events.identities(previous, [result('alice', 90), result('carol', 70)])).toEqual([
+      result('bob', 95),
+      result('alice', 90),
+      result('carol', 70),
+    ]);
+  });
+
+  it('should only store the identity fields of a match', () => {
+    const [identity] = events.identities([], [{ ...result('alice', 90), box: {}, base64: 'x' }]);
+    expect(identity).toEqual(result('alice', 90));
+  });
+});
+
+describe('verdict', () => {
+  it('should combine the best result per name of every run', () => {
+    const verdict = events.verdict('front', [
+      output({ matches: [result('alice', 80)], misses: [result('bob', 50)], person: 2 }),
+      output({
+        matches: [result('alice', 90), result('bob', 85)],
+        unknowns: [result('unknown', 30)],
+        person: 3,
+        unknown: 1,
+      }),
+    ]);
+    expect(verdict).toEqual({
+      attempts: 4,
+      zones: ['porch'],
+      matches: [result('alice', 90), result('bob', 85)],
+      misses: [],
+      unknowns: [result('unknown', 30)],
+      counts: { person: 3, match: 2, miss: 0, unknown: 1 },
+    });
+  });
+
+  it('should return an empty verdict without runs', () => {
+    expect(events.verdict('front')).toMatchObject({
+      attempts: 0,
+      matches: [],
+      counts: { person: 0, match: 0, miss: 0, unknown: 0 },
+    });
+  });
+});
+
+describe('finalize', () => {
+  const event = { id: 'e1', type: 'frigate', camera: 'front' };
+
+  it('should not finalize events that were not tracked', () => {
+    expect(events.finalize({ id: 'missing' })).toBe(false);
+  });
+
+  it('should store the verdict with the end time Frigate sent and stop tracking the event', () => {
+    const startedAt = '2026-01-01T00:00:00.000Z';
+    events.track({ event, output: output({ matches: [result('alice', 80)] }), startedAt });
+    events.track({ event, output: output({ matches: [result('alice', 90)] }), startedAt });
+
+    const summary = events.finalize({ id: 'e1', endTime: 1767225780 });
+    expect(summary).toMatchObject({
+      id: 'e1',
+      camera: 'front',
+      startedAt,
+      endedAt: '2026-01-01T00:03:00.000Z',
+      attempts: 4,
+      matches: [result('alice', 90)],
+    });
+    expect(database.create.event).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: 'e1',
+        identities: [result('alice', 90)],
+        endedAt: '2026-01-01T00:03:00.000Z',
+      })
+    );
+    expect(events.finalize({ id: 'e1' })).toBe(false);
+  });
+
+  it('should end the event when the end message arrived without an end time', () => {
+    events.track({ event, output: output({}), startedAt: '2026-01-01T00:00:00.000Z' });
+    expect(events.finalize({ id: 'e1' }).endedAt).toBe('2026-01-01T00:10:00.000Z');
+  });
+
+  it('should add mqtt runs to the events tracked on the same camera', () => {
+    const startedAt = '2026-01-01T00:00:00.000Z';
+    events.track({ event, output: output({}), startedAt });
+    events.track({
+      event: { id: 'uuid', type: 'mqtt', camera: 'FRONT' },
+      output: output({ matches: [result('bob', 75)] }),
+      startedAt,
+    });
+    expect(events.finalize({ id: 'e1' }).matches).toEqual([result('bob', 75)]);
+  });
+});
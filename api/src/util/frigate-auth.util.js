@@ -1,6 +1,8 @@
 const axios = require('axios');
 const { FRIGATE } = require('../constants')();
 
+const SESSIONS = {};
+
 class FrigateAuth {
   constructor() {
     this.token = null;
@@ -207,7 +209,19 @@ class FrigateAuth {
   }
 }
 
+/**
+ * Get the session of a Frigate instance, every base URL keeps its own token
+ * @param {string} baseURL - The Frigate base URL
+ * @returns {FrigateAuth} - The session for the base URL
+ */
+const session = (baseURL) => {
+  const key = baseURL.endsWith('/') ? baseURL.slice(0, -1) : baseURL;
+  if (!SESSIONS[key]) SESSIONS[key] = new FrigateAuth();
+  return SESSIONS[key];
+};
+
 // Create singleton instance
 const frigateAuth = new FrigateAuth();
 
-module.exports = frigateAuth; 
\ No newline at end of file
+module.exports = frigateAuth;
+module.exports.session = session;
@@ -3,12 +3,14 @@ const { FRIGATE, MQTT } = require('../constants')();
 const frigateAuth = require('./frigate-auth.util');
 
 const frigate = this;
+const CAMERAS = {};
 
 module.exports.subLabel = async (topic, id, best) => {
+  const instance = this.instance(topic);
   console.verbose(
-    `FRIGATE.URL: ${FRIGATE.URL}; FRIGATE.UPDATE_SUB_LABELS: ${FRIGATE.UPDATE_SUB_LABELS}; best.length: ${best.length}`
+    `FRIGATE.URL: ${instance?.URL}; FRIGATE.UPDATE_SUB_LABELS: ${FRIGATE.UPDATE_SUB_LABELS}; best.length: ${best.length}`
   );
-  if (!FRIGATE.URL || !FRIGATE.UPDATE_SUB_LABELS || !best.length) return;
+  if (!instance || !FRIGATE.UPDATE_SUB_LABELS || !best.length) return;
   const names = best
     .map(({ name }) => name)
     .sort()
@@ -20,29 +22,15 @@ module.exports.subLabel = async (topic, id, best) => {
     );
   }
 
-  const baseURL = this.topicURL(topic);
-  const username = FRIGATE.USERNAME;
-  const password = FRIGATE.PASSWORD;
-  
-  if (username && password) {
-    // Use authenticated request
-    await frigateAuth.authenticatedRequest({
-      method: 'post',
-      url: `${baseURL}/api/events/${id}/sub_label`,
-      data: { subLabel: names, subLabelScore: confidences },
-    }, baseURL, username, password).catch((error) =>
-      console.error(`post sublabel to frigate for event ${id} error: ${error.message}`)
-    );
-  } else {
-    // Use unauthenticated request (backward compatibility)
-    await axios({
-      method: 'post',
-      url: `${baseURL}/api/events/${id}/sub_label`,
-      data: { subLabel: names, subLabelScore: confidences },
-    }).catch((error) =>
-      console.error(`post sublabel to frigate for event ${id} error: ${error.message}`)
-    );
-  }
+  await this.request(instance, {
+    method: 'post',
+    url: `${instance.URL}/api/events/${id}/sub_label`,
+    data: { subLabel: names, subLabelScore: confidences },
+  }).catch((error) =>
+    console.error(
+      `post sublabel to frigate ${instance.NAME} for event ${id} error: ${error.message}`
+    )
+  );
 };
 
 module.exports.checks = async ({
@@ -53,25 +41,26 @@ module.exports.checks = async ({
   camera,
   area,
   zones,
-  PROCESSING,
   IDS,
 }) => {
   try {
-    if (!FRIGATE.URL) throw Error('Frigate URL not configured');
+    const instance = this.instance(topic);
+    if (!instance) throw Error('Frigate URL not configured');
+    const { ZONES, CAMERAS: APPROVED, LABELS } = instance;
 
-    const cameraMatch = FRIGATE.ZONES
-      ? FRIGATE.ZONES.filter(({ CAMERA }) => camera === CAMERA).length
-        ? FRIGATE.ZONES.filter(({ CAMERA }) => camera === CAMERA)[0]
+    const cameraMatch = ZONES
+      ? ZONES.filter(({ CAMERA }) => camera === CAMERA).length
+        ? ZONES.filter(({ CAMERA }) => camera === CAMERA)[0]
         : false
       : false;
 
-    if (FRIGATE.CAMERAS.length > 0 && !FRIGATE.CAMERAS.includes(camera) && !cameraMatch) {
+    if (APPROVED.length > 0 && !APPROVED.includes(camera) && !cameraMatch) {
       return `${id} - ${camera} not on approved list`;
     }
 
-    if (FRIGATE.ZONES) {
+    if (ZONES) {
       if (cameraMatch) {
-        const [match] = FRIGATE.ZONES.filter(
+        const [match] = ZONES.filter(
           ({ CAMERA, ZONE }) => camera === CAMERA && zones.includes(ZONE)
         );
 
@@ -81,17 +70,12 @@ module.exports.checks = async ({
       }
     }
 
-    if (PROCESSING && type === 'update') {
-      return `${id} - still processing previous request`;
+    if (!LABELS.includes(label)) {
+      return `${id} - ${label} label not in (${LABELS.join(', ')})`;
     }
 
-    if (type === 'end') {
-      return `${id} - skip processing on ${type} events`;
-    }
-
-    if (!FRIGATE.LABELS.includes(label)) {
-      return `${id} - ${label} label not in (${FRIGATE.LABELS.join(', ')})`;
-    }
+    // end events close the event, so the area of the last frame and earlier attempts don't matter
+    if (type === 'end') return true;
 
     if (FRIGATE.MIN_AREA > area) {
       return `skipping object area smaller than ${FRIGATE.MIN_AREA} (${area})`;
@@ -111,36 +95,181 @@ module.exports.checks = async ({
 
 module.exports.status = async (topic) => {
   try {
-    const baseURL = this.topicURL(topic);
-    const username = FRIGATE.USERNAME;
-    const password = FRIGATE.PASSWORD;
-    
-    if (username && password) {
-      // Use authenticated request
-      const request = await frigateAuth.authenticatedRequest({
-        method: 'get',
-        url: `${baseURL}/api/version`,
-        timeout: 5 * 1000,
-      }, baseURL, username, password);
-      return request.data;
-    } else {
-      // Use unauthenticated request (backward compatibility)
-      const request = await axios({
+    const instance = this.instance(topic);
+    const request = await this.request(instance, {
+      method: 'get',
+      url: `${instance.URL}/api/version`,
+      timeout: 5 * 1000,
+    });
+    return request.data;
+  } catch (error) {
+    throw new Error(`frigate status error: ${error.message}`);
+  }
+};
+
+/**
+ * Gets the detect resolution of a camera from the Frigate config, object boxes in event payloads
+ * use this resolution.
+ *
+ * @param {object} event - Event with topic and camera.
+ * @return {Promise<object|false>} Detect width and height.
+ */
+module.exports.detectSize = async ({ topic, camera }) => {
+  const cameras = await this.cameraConfig(this.instance(topic));
+  if (!cameras) return false;
+  const { width, height } = cameras[camera]?.detect || {};
+  return width && height ? { width, height } : false;
+};
+
+/**
+ * Gets the cameras from the Frigate config of an instance, cached per Frigate URL after the first
+ * successful request until Frigate announces it's available again.
+ *
+ * @param {object} instance - Instance from `instances()`.
+ * @return {Promise<object|false>} Camera configs by name.
+ */
+module.exports.cameraConfig = async (instance) => {
+  const baseURL = instance.URL;
+  if (!CAMERAS[baseURL]) {
+    try {
+      const { data } = await this.request(instance, {
         method: 'get',
-        url: `${baseURL}/api/version`,
+        url: `${baseURL}/api/config`,
         timeout: 5 * 1000,
       });
-      return request.data;
+      CAMERAS[baseURL] = data.cameras || {};
+    } catch (error) {
+      console.error(`frigate config error: ${error.message}`);
+      return false;
     }
-  } catch (error) {
-    throw new Error(`frigate status error: ${error.message}`);
   }
+  return CAMERAS[baseURL];
+};
+
+/**
+ * Drops the cached Frigate config of an instance so it's requested again.
+ *
+ * @param {object} instance - Instance from `instances()`.
+ */
+module.exports.forget = (instance) => {
+  if (CAMERAS[instance.URL]) console.verbose(`frigate ${instance.NAME} config cache cleared`);
+  delete CAMERAS[instance.URL];
+};
+
+/**
+ * Lists the cameras of every instance, using the instance's camera filter when it has one and
+ * the Frigate config otherwise.
+ *
+ * @return {Promise<Array<string>>} Camera names.
+ */
+module.exports.cameras = async () => {
+  const cameras = await Promise.all(
+    this.instances().map(async (instance) =>
+      instance.CAMERAS?.length
+        ? instance.CAMERAS
+        : Object.keys((await this.cameraConfig(instance)) || {})
+    )
+  );
+  return [...new Set(cameras.flat())];
+};
+
+/**
+ * Picks the region of an event to crop frames to: the highest scoring face attribute when the
+ * target is face and Frigate found one, otherwise the object box.
+ *
+ * @param {object} event - Frigate event with box and attributes.
+ * @param {object} CROP - Crop settings from config.frigate().
+ * @return {Promise<object|false>} Box in detect resolution and the detect resolution.
+ */
+module.exports.roi = async (event, CROP) => {
+  if (!CROP?.ENABLED) return false;
+  const [face] = (event.attributes || [])
+    .filter(({ label, box }) => label === 'face' && Array.isArray(box))
+    .sort((a, b) => (b.score || 0) - (a.score || 0));
+  const target = CROP.TARGET === 'face' && face ? face : { label: 'person', box: event.box };
+  if (!Array.isArray(target.box) || target.box.length !== 4) return false;
+
+  const detect = await this.detectSize(event);
+  if (!detect) return false;
+  const [x1, y1, x2, y2] = target.box;
+  return {
+    target: target.label,
+    box: { top: y1, left: x1, width: x2 - x1, height: y2 - y1 },
+    detect,
+    margin: CROP.MARGIN,
+  };
+};
+
+/**
+ * Lists the configured Frigate instances with their own URL, credentials, topic, cameras, labels
+ * and zones. Without frigate.instances every frigate.url is paired with the mqtt.topics.frigate
+ * entry at the same index and shares the top level credentials. Instances are named after the
+ * prefix of their topic unless a name is set.
+ *
+ * @return {Array<object>} Instances.
+ */
+module.exports.instances = () => {
+  if (!FRIGATE) return [];
+  const topics = [].concat(MQTT?.TOPICS?.FRIGATE || []);
+  const instances = FRIGATE.INSTANCES?.length
+    ? FRIGATE.INSTANCES
+    : [].concat(FRIGATE.URL || []).map((URL) => ({
+        URL,
+        USERNAME: FRIGATE.USERNAME,
+        PASSWORD: FRIGATE.PASSWORD,
+      }));
+
+  return instances.map((instance, i) => {
+    const TOPIC = instance.TOPIC || topics[i] || 'frigate/events';
+    return {
+      CAMERAS: FRIGATE.CAMERAS || [],
+      LABELS: FRIGATE.LABELS || [],
+      ZONES: FRIGATE.ZONES,
+      ...instance,
+      NAME: instance.NAME || TOPIC.split('/')[0],
+      URL: instance.URL.endsWith('/') ? instance.URL.slice(0, -1) : instance.URL,
+      TOPIC,
+    };
+  });
 };
 
+/**
+ * Finds the instance that publishes events on a topic, falling back to the first instance.
+ *
+ * @param {string} topic - MQTT topic of the event.
+ * @return {object|false} Instance.
+ */
+module.exports.instance = (topic) => {
+  const instances = this.instances();
+  return instances.find(({ TOPIC }) => TOPIC === topic) || instances[0] || false;
+};
+
+/**
+ * Finds the instance a URL points to.
+ *
+ * @param {string} url - Image or API URL.
+ * @return {object|undefined} Instance.
+ */
+module.exports.instanceByURL = (url) =>
+  this.instances().find(({ URL }) => typeof url === 'string' && url.startsWith(URL));
+
+/**
+ * Sends a request to an instance, using its own auth session when it has credentials.
+ *
+ * @param {object} instance - Instance from `instances()`.
+ * @param {object} opts - Axios request options.
+ * @return {Promise<object>} Axios response.
+ */
+module.exports.request = (instance, opts) =>
+  instance.USERNAME && instance.PASSWORD
+    ? frigateAuth
+        .session(instance.URL)
+        .authenticatedRequest(opts, instance.URL, instance.USERNAME, instance.PASSWORD)
+    : axios(opts);
+
 module.exports.topicURL = (topic) => {
   try {
-    if (typeof FRIGATE.URL === 'string') return FRIGATE.URL;
-    return FRIGATE.URL[MQTT.TOPICS.FRIGATE.indexOf(topic)];
+    return this.instance(topic).URL;
   } catch (error) {
     error.message = `frigate topic url error: ${error.message}`;
     throw error;
@@ -1,4 +1,6 @@
-const { checks } = require('./frigate.util');
+const frigate = require('./frigate.util');
+
+const { checks } = frigate;
 
 describe('checks', () => {
   it('should throw an error if Frigate URL is not configured', async () => {
@@ -190,3 +192,37 @@ describe('checks', () => {
     expect(result).toBe(true);
   });
 });
+
+describe('checks on end events', () => {
+  const params = {
+    id: '123',
+    frigateEventType: 'end',
+    topic: 'frigate/events',
+    label: 'person',
+    camera: 'front',
+    area: 5,
+    zones: ['porch'],
+    IDS: ['123'],
+  };
+
+  beforeEach(() =>
+    jest.spyOn(frigate, 'instance').mockReturnValue({
+      CAMERAS: ['front'],
+      ZONES: [{ CAMERA: 'front', ZONE: 'porch' }],
+      LABELS: ['person'],
+    })
+  );
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should skip the area and duplicate checks', async () => {
+    expect(await checks(params)).toBe(true);
+  });
+
+  it('should still filter cameras, zones and labels', async () => {
+    expect(await checks({ ...params, camera: 'garage' })).toBe('123 - garage not on approved list');
+    expect(await checks({ ...params, zones: ['yard'] })).toBe(
+      '123 - front zone not on approved list'
+    );
+    expect(await checks({ ...params, label: 'car' })).toBe('123 - car label not in (person)');
+  });
+});
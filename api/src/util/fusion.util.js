@@ -0,0 +1,143 @@
+const actions = require('./detectors/actions');
+const config = require('../constants/config');
+
+const DETECTOR = 'fusion';
+
+/**
+ * Intersection over union of two face boxes.
+ *
+ * @param {object} a - Box with top, left, width and height.
+ * @param {object} b - Box with top, left, width and height.
+ * @return {number} Overlap ratio between 0 and 1.
+ */
+module.exports.iou = (a, b) => {
+  if (!a || !b) return 0;
+  const x1 = Math.max(a.left, b.left);
+  const y1 = Math.max(a.top, b.top);
+  const x2 = Math.min(a.left + a.width, b.left + b.width);
+  const y2 = Math.min(a.top + a.height, b.top + b.height);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * Groups faces found by different detectors into physical faces by box overlap.
+ * A group never holds more than one face from the same detector.
+ *
+ * @param {Array} faces - Faces with detector, name, confidence, match and box.
+ * @param {number} threshold - Minimum IoU for two faces to be considered the same face.
+ * @return {Array} Array of face groups.
+ */
+module.exports.cluster = (faces, threshold) => {
+  const groups = [];
+  [...faces]
+    .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
+    .forEach((face) => {
+      let best = null;
+      let bestOverlap = 0;
+      groups.forEach((group) => {
+        if (group.some(({ detector }) => detector === face.detector)) return;
+        const overlap = this.iou(group[0].box, face.box);
+        if (overlap >= threshold && overlap > bestOverlap) {
+          best = group;
+          bestOverlap = overlap;
+        }
+      });
+      if (best) best.push(face);
+      else groups.push([face]);
+    });
+  return groups;
+};
+
+/**
+ * Combines the votes of a face group into a single identity.
+ *
+ * @param {Array} group - Faces from one cluster.
+ * @param {object} options - Voting options.
+ * @param {number} options.minAgreement - Number of detectors that must agree on a name.
+ * @return {object} The fused face.
+ */
+module.exports.vote = (group, { minAgreement }) => {
+  const tally = {};
+  group
+    .filter(({ name }) => name !== 'unknown')
+    .forEach(({ name, confidence, weight }) => {
+      if (!tally[name]) tally[name] = { score: 0, weight: 0, votes: [] };
+      tally[name].score += weight * (confidence || 0);
+      tally[name].weight += weight;
+      tally[name].votes.push(name);
+    });
+
+  const [winner] = Object.entries(tally).sort(
+    ([, a], [, b]) => b.score - a.score || b.votes.length - a.votes.length
+  );
+  const agreed = winner && winner[1].votes.length >= minAgreement;
+  const voters = agreed ? group.filter(({ name }) => name === winner[0]) : group;
+  const [anchor] = [...voters].sort((a, b) => b.weight - a.weight);
+  const totalWeight = voters.reduce((sum, { weight }) => sum + weight, 0);
+  const confidences = voters.filter(({ confidence }) => typeof confidence === 'number');
+
+  return {
+    name: agreed ? winner[0] : 'unknown',
+    confidence: confidences.length
+      ? parseFloat(
+          (
+            confidences.reduce((sum, { weight, confidence }) => sum + weight * confidence, 0) /
+            (agreed ? totalWeight : confidences.reduce((sum, { weight }) => sum + weight, 0))
+          ).toFixed(2)
+        )
+      : null,
+    match: !!agreed && voters.filter(({ match }) => match).length >= minAgreement,
+    box: anchor.box,
+    votes: group.map(({ detector, name, confidence, match, weight }) => ({
+      detector,
+      name,
+      confidence,
+      match,
+      weight,
+    })),
+  };
+};
+
+/**
+ * Fuses the per detector results of a single image into one identity per physical face.
+ *
+ * @param {object} options
+ * @param {string} options.camera - Camera the image came from.
+ * @param {Array} options.results - Per detector results from process.util.start.
+ * @return {Array|boolean} Fused faces or false if fusion is disabled.
+ */
+module.exports.fuse = ({ camera, results }) => {
+  const { MATCH, UNKNOWN, FUSION } = config.detect(camera);
+  if (!FUSION?.ENABLED || !results.length) return false;
+
+  const faces = results.flatMap(({ detector, results: detections }) =>
+    detections.map((face) => ({
+      ...face,
+      detector,
+      weight: config()?.detectors?.[detector]?.weight ?? 1,
+    }))
+  );
+  const minAgreement = Math.min(FUSION.MIN_AGREEMENT, results.length);
+
+  return this.cluster(faces, FUSION.IOU).flatMap((group) => {
+    const output = this.vote(group, { minAgreement });
+    const checks = actions.checks({ MATCH, UNKNOWN, ...output });
+    if (checks.length) output.checks = checks;
+    return checks !== false ? output : [];
+  });
+};
+
+/**
+ * Returns the fused results when present, otherwise the raw per detector results.
+ *
+ * @param {Array} results - Per detector results.
+ * @return {Array} The results that decide matches, misses and unknowns.
+ */
+module.exports.resolve = (results = []) => {
+  const fused = results.filter(({ detector }) => detector === DETECTOR);
+  return fused.length ? fused : results;
+};
+
+module.exports.DETECTOR = DETECTOR;
@@ -0,0 +1,90 @@
+const { iou, cluster, vote } = require('./fusion.util');
+
+const box = (left, top, width = 100, height = 100) => ({ left, top, width, height });
+
+describe('iou', () => {
+  it('should return 1 for identical boxes', () => {
+    expect(iou(box(0, 0), box(0, 0))).toBe(1);
+  });
+
+  it('should return 0 for boxes that do not overlap', () => {
+    expect(iou(box(0, 0), box(200, 200))).toBe(0);
+  });
+
+  it('should return the overlap ratio for partially overlapping boxes', () => {
+    expect(iou(box(0, 0), box(50, 0))).toBeCloseTo(1 / 3);
+  });
+});
+
+describe('cluster', () => {
+  it('should pair faces from different detectors by box overlap', () => {
+    const groups = cluster(
+      [
+        { detector: 'compreface', name: 'alice', confidence: 82, box: box(0, 0) },
+        { detector: 'deepstack', name: 'bob', confidence: 70, box: box(5, 5) },
+        { detector: 'deepstack', name: 'carol', confidence: 90, box: box(500, 500) },
+      ],
+      0.3
+    );
+    expect(groups).toHaveLength(2);
+    expect(groups.find((group) => group.length === 2).map(({ name }) => name)).toEqual([
+      'alice',
+      'bob',
+    ]);
+  });
+
+  it('should never put two faces from the same detector in one group', () => {
+    const groups = cluster(
+      [
+        { detector: 'compreface', name: 'alice', confidence: 82, box: box(0, 0) },
+        { detector: 'compreface', name: 'bob', confidence: 70, box: box(0, 0) },
+      ],
+      0.3
+    );
+    expect(groups).toHaveLength(2);
+  });
+});
+
+describe('vote', () => {
+  const group = [
+    {
+      detector: 'compreface',
+      name: 'alice',
+      confidence: 80,
+      match: true,
+      weight: 1,
+      box: box(0, 0),
+    },
+    {
+      detector: 'deepstack',
+      name: 'alice',
+      confidence: 70,
+      match: true,
+      weight: 1,
+      box: box(2, 2),
+    },
+    { detector: 'aiserver', name: 'bob', confidence: 90, match: true, weight: 1, box: box(4, 4) },
+  ];
+
+  it('should pick the name with the highest weighted score', () => {
+    const face = vote(group, { minAgreement: 2 });
+    expect(face.name).toBe('alice');
+    expect(face.confidence).toBe(75);
+    expect(face.match).toBe(true);
+    expect(face.votes).toHaveLength(3);
+  });
+
+  it('should respect detector weights', () => {
+    const weighted = group.map((face) => ({
+      ...face,
+      weight: face.detector === 'aiserver' ? 3 : 1,
+    }));
+    expect(vote(weighted, { minAgreement: 1 }).name).toBe('bob');
+  });
+
+  it('should return unknown when not enough detectors agree', () => {
+    const face = vote(group, { minAgreement: 3 });
+    expect(face.name).toBe('unknown');
+    expect(face.match).toBe(false);
+  });
+});
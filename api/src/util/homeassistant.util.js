@@ -0,0 +1,209 @@
+const romanize = require('romanization');
+const { MQTT, PRESENCE, VERSION } = require('../constants')();
+
+const AVAILABILITY = 'double-take/available';
+
+const DEVICE = {
+  identifiers: ['double_take'],
+  name: 'Double Take',
+  manufacturer: 'Double Take',
+  model: 'Double Take',
+  sw_version: VERSION,
+};
+
+const ORIGIN = {
+  name: 'Double Take',
+  sw_version: VERSION,
+  support_url: 'https://github.com/skrashevich/double-take',
+};
+
+const discovery = (component, objectId, config) => ({
+  topic: `${MQTT.TOPICS.HOMEASSISTANT}/${component}/double-take/${objectId}/config`,
+  retain: true,
+  message: JSON.stringify({
+    availability_topic: AVAILABILITY,
+    ...config,
+    device: config.device || DEVICE,
+    origin: ORIGIN,
+  }),
+});
+
+const cameraDevice = (camera) => ({
+  identifiers: [`double_take_${camera}`],
+  name: `Double Take ${camera}`,
+  manufacturer: 'Double Take',
+  model: 'Camera',
+  via_device: DEVICE.identifiers[0],
+});
+
+/**
+ * Topic and entity names of a person, names are romanized so they're safe to use in topics and
+ * entity ids.
+ *
+ * @param {string} name - Person name.
+ * @return {object} Topic slug and entity name.
+ */
+module.exports.slug = (name) => ({
+  topic: romanize(name.replace(/\s+/g, '-')).replace(/[^a-z0-9-]/gi, ''),
+  name: romanize(name.replace(/\s+/g, '_')),
+});
+
+module.exports.topics = {
+  sensor: (key) => `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${key}/state`,
+  tracker: (key) => `${MQTT.TOPICS.HOMEASSISTANT}/device_tracker/double-take/${key}/state`,
+  recognition: (camera) => `${MQTT.TOPICS.CAMERAS}/${camera}/recognition`,
+  cameraImage: (camera) => `${MQTT.TOPICS.CAMERAS}/${camera}/image`,
+  matchImage: (topic) => `${MQTT.TOPICS.MATCHES}/${topic}/image`,
+};
+
+/**
+ * Discovery configs of a camera: a person count sensor, a switch that pauses recognition, a
+ * button that runs recognition on the current snapshot and a camera with the last annotated
+ * image. The button needs the commands topic and the camera needs mqtt.images.
+ *
+ * @param {string} camera - Lowercase camera name.
+ * @param {object} options - Options.
+ * @param {boolean} options.button - Whether the camera has a snapshot to recognize.
+ * @return {Array<object>} Messages.
+ */
+module.exports.camera = (camera, { button }) => {
+  const device = cameraDevice(camera);
+  const messages = [
+    discovery('sensor', camera, {
+      name: 'Person count',
+      object_id: `double_take_${camera}`,
+      icon: 'mdi:camera',
+      value_template: '{{ value_json.counts.person }}',
+      state_topic: this.topics.sensor(camera),
+      json_attributes_topic: this.topics.sensor(camera),
+      unique_id: `double_take_${camera}`,
+      device,
+    }),
+    discovery('switch', `${camera}_recognition`, {
+      name: 'Recognition',
+      object_id: `double_take_${camera}_recognition`,
+      icon: 'mdi:face-recognition',
+      state_topic: this.topics.recognition(camera),
+      command_topic: `${this.topics.recognition(camera)}/set`,
+      payload_on: 'ON',
+      payload_off: 'OFF',
+      unique_id: `double_take_${camera}_recognition`,
+      device,
+    }),
+  ];
+
+  if (MQTT.IMAGES?.ENABLED)
+    messages.push(
+      discovery('camera', camera, {
+        name: 'Last recognition',
+        object_id: `double_take_${camera}_image`,
+        icon: 'mdi:image',
+        topic: this.topics.cameraImage(camera),
+        unique_id: `double_take_${camera}_image`,
+        device,
+      })
+    );
+
+  if (button && MQTT.TOPICS.COMMANDS)
+    messages.push(
+      discovery('button', `${camera}_recognize`, {
+        name: 'Recognize now',
+        object_id: `double_take_${camera}_recognize`,
+        icon: 'mdi:account-search',
+        command_topic: `${MQTT.TOPICS.COMMANDS}/recognize`,
+        payload_press: JSON.stringify({ camera }),
+        unique_id: `double_take_${camera}_recognize`,
+        device,
+      })
+    );
+  return messages;
+};
+
+/**
+ * Discovery configs of a person: a sensor with the last camera they were seen on, a presence
+ * tracker with their state from presence.util and an image of their last match with
+ * mqtt.images.
+ *
+ * @param {string} person - Person name.
+ * @return {Array<object>} Messages.
+ */
+module.exports.person = (person) => {
+  const { topic, name } = this.slug(person);
+  const messages = [
+    discovery('sensor', topic, {
+      name: person,
+      object_id: `double_take_${name}`,
+      icon: 'mdi:account',
+      value_template: '{{ value_json.camera }}',
+      state_topic: this.topics.sensor(topic),
+      json_attributes_topic: this.topics.sensor(topic),
+      unique_id: `double_take_${name}`,
+      expire_after: 600,
+    }),
+    discovery('device_tracker', topic, {
+      name: person,
+      object_id: `double_take_${name}`,
+      icon: 'mdi:account',
+      state_topic: this.topics.tracker(topic),
+      payload_home: PRESENCE.HOME,
+      payload_not_home: PRESENCE.AWAY,
+      source_type: 'router',
+      unique_id: `double_take_tracker_${name}`,
+    }),
+  ];
+
+  if (MQTT.IMAGES?.ENABLED)
+    messages.push(
+      discovery('image', topic, {
+        name: person,
+        object_id: `double_take_${name}`,
+        icon: 'mdi:account-box',
+        image_topic: this.topics.matchImage(topic),
+        content_type: 'image/jpeg',
+        unique_id: `double_take_${name}_image`,
+      })
+    );
+  return messages;
+};
+
+/**
+ * Empty retained configs and states that remove the entities of a deleted person.
+ *
+ * @param {string} person - Person name.
+ * @return {Array<object>} Messages.
+ */
+module.exports.remove = (person) => {
+  const { topic } = this.slug(person);
+  return [
+    `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${topic}/config`,
+    `${MQTT.TOPICS.HOMEASSISTANT}/device_tracker/double-take/${topic}/config`,
+    `${MQTT.TOPICS.HOMEASSISTANT}/image/double-take/${topic}/config`,
+    this.topics.sensor(topic),
+    this.topics.tracker(topic),
+    this.topics.matchImage(topic),
+  ].map((removed) => ({ topic: removed, retain: true, message: '' }));
+};
+
+module.exports.unknown = () =>
+  discovery('sensor', 'unknown', {
+    name: 'Unknown',
+    object_id: 'double_take_unknown',
+    icon: 'mdi:account',
+    value_template: '{{ value_json.camera }}',
+    state_topic: this.topics.sensor('unknown'),
+    json_attributes_topic: this.topics.sensor('unknown'),
+    unique_id: 'double_take_unknown',
+    expire_after: 600,
+  });
+
+module.exports.detector = (detector) =>
+  discovery('binary_sensor', `detector_${detector}`, {
+    name: `Detector ${detector}`,
+    object_id: `double_take_detector_${detector}`,
+    icon: 'mdi:face-recognition',
+    device_class: 'problem',
+    value_template: "{{ 'OFF' if value_json.state == 'closed' else 'ON' }}",
+    state_topic: `${MQTT.TOPICS.DETECTORS}/${detector}`,
+    json_attributes_topic: `${MQTT.TOPICS.DETECTORS}/${detector}`,
+    unique_id: `double_take_detector_${detector}`,
+  });
@@ -0,0 +1,26 @@
+/**
+ * Splits a JSONPath-style expression like `$.result[0].box.x_min` into keys.
+ *
+ * @param {string} path - Expression starting with `$`, dot and bracket notation are supported.
+ * @return {Array<string>} Keys to walk.
+ */
+const parse = (path) =>
+  path
+    .trim()
+    .replace(/^\$\.?/, '')
+    .replace(/\[['"]?([^\]'"]+)['"]?\]/g, '.$1')
+    .split('.')
+    .filter((key) => key.length);
+
+/**
+ * Reads a value from an object with a JSONPath-style expression.
+ * Non string paths are returned as is so mappings can also hold constants.
+ *
+ * @param {object} obj - Object to read from.
+ * @param {string} path - Expression like `$.predictions` or `$.box[2]`.
+ * @return {*} The value found or undefined.
+ */
+module.exports.get = (obj, path) => {
+  if (typeof path !== 'string' || !path.startsWith('$')) return path;
+  return parse(path).reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
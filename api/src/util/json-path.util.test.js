@@ -0,0 +1,34 @@
+const { get } = require('./json-path.util');
+
+const DATA = {
+  success: true,
+  predictions: [
+    { userid: 'alice', confidence: 0.91, box: [10, 20, 110, 140], 'x-min': 10 },
+    { userid: 'unknown', confidence: 0.4 },
+  ],
+};
+
+describe('get', () => {
+  it('should read values with dot and bracket notation', () => {
+    expect(get(DATA, '$.success')).toBe(true);
+    expect(get(DATA, '$.predictions[0].userid')).toBe('alice');
+    expect(get(DATA, '$.predictions.1.confidence')).toBe(0.4);
+    expect(get(DATA, '$.predictions[0].box[2]')).toBe(110);
+    expect(get(DATA, "$.predictions[0]['x-min']")).toBe(10);
+  });
+
+  it('should return the whole object for the root path', () => {
+    expect(get(DATA, '$')).toBe(DATA);
+  });
+
+  it('should return undefined for missing values', () => {
+    expect(get(DATA, '$.predictions[5].userid')).toBeUndefined();
+    expect(get(DATA, '$.missing.deeply.nested')).toBeUndefined();
+  });
+
+  it('should return values that are not paths as is', () => {
+    expect(get(DATA, 'unknown')).toBe('unknown');
+    expect(get(DATA, 100)).toBe(100);
+    expect(get(DATA, undefined)).toBeUndefined();
+  });
+});
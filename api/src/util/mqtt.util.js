@@ -2,17 +2,46 @@ const filesystem = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const mqtt = require('mqtt');
-const romanize = require('romanization');
 const fs = require('./fs.util');
 const { jwt } = require('./auth.util');
-const { AUTH, SERVER, MQTT, FRIGATE, CAMERAS, STORAGE, UI } = require('../constants')();
+const { AUTH, SERVER, MQTT, CAMERAS, STORAGE, UI } = require('../constants')();
 const config = require('../constants/config');
+const {
+  instances: frigateInstances,
+  cameras: frigateCameras,
+  forget: forgetFrigateConfig,
+} = require('./frigate.util');
+const commands = require('./command.util');
+const homeassistant = require('./homeassistant.util');
+const pause = require('./pause.util');
+const presence = require('./presence.util');
+const annotate = require('./annotate.util');
+const template = require('./template.util');
 
 let PREVIOUS_MQTT_LENGTHS = [];
 let JUST_SUBSCRIBED = false;
 let CLIENT = false;
 const PERSON_RESET_TIMEOUT = {};
 let STATUS;
+let DISCOVERED = { cameras: [], people: [] };
+
+pause.listen((camera, paused) => {
+  if (MQTT?.TOPICS?.HOMEASSISTANT)
+    this.publish({
+      topic: homeassistant.topics.recognition(camera),
+      retain: true,
+      message: paused ? 'OFF' : 'ON',
+    });
+});
+
+presence.listen((name, state) => {
+  if (MQTT?.TOPICS?.HOMEASSISTANT)
+    this.publish({
+      topic: homeassistant.topics.tracker(homeassistant.slug(name).topic),
+      retain: true,
+      message: state,
+    });
+});
 
 const logStatus = (status, console) => {
   STATUS = status;
@@ -29,8 +58,40 @@ const cameraTopics = () => {
     : [];
 };
 
+// options of the configured topic the given topic is under, the longest topic wins
+const topicOptions = (topic) => {
+  let match = { prefix: '', options: {} };
+  Object.entries(MQTT.TOPIC_OPTIONS || {}).forEach(([key, options]) =>
+    []
+      .concat(MQTT.TOPICS[key])
+      .filter((prefix) => typeof prefix === 'string' && prefix.length > match.prefix.length)
+      .filter((prefix) => topic === prefix || topic.startsWith(`${prefix}/`))
+      .forEach((prefix) => (match = { prefix, options }))
+  );
+  return match.options;
+};
+
+// renders the payload with its template from mqtt.templates, JSON otherwise
+// templates are JSON, so strings are escaped before they're placed in them
+const format = (type, payload) => {
+  const text = MQTT.TEMPLATES?.[type.toUpperCase()];
+  return text ? template.render(text, payload, { json: true }) : JSON.stringify(payload);
+};
+
 const processMessage = ({ topic, message }) => {
   const init = async () => {
+    if (MQTT.TOPICS.COMMANDS && topic.startsWith(`${MQTT.TOPICS.COMMANDS}/`)) {
+      await processMessage({ topic, message }).command();
+      return;
+    }
+    if (MQTT.TOPICS.HOMEASSISTANT && /\/recognition\/set$/.test(topic)) {
+      await processMessage({ topic, message }).recognition();
+      return;
+    }
+    if (frigateInstances().some(({ TOPIC }) => topic === `${TOPIC.split('/')[0]}/available`)) {
+      await processMessage({ topic, message }).available();
+      return;
+    }
     if ((topic.includes('/snapshot') || cameraTopics().includes(topic)) && !JUST_SUBSCRIBED)
       await processMessage({ topic, message }).snapshot();
     if (topic.includes('/events')) await processMessage({ topic, message }).frigate();
@@ -66,10 +127,18 @@ const processMessage = ({ topic, message }) => {
     PREVIOUS_MQTT_LENGTHS = PREVIOUS_MQTT_LENGTHS.slice(0, 10);
   };
 
+  // Frigate announces itself when it starts, including after its config is saved, so the cached
+  // config is requested again in case the detect resolution of a camera changed
+  const available = async () => {
+    if (message.toString() !== 'online') return;
+    frigateInstances()
+      .filter(({ TOPIC }) => topic === `${TOPIC.split('/')[0]}/available`)
+      .forEach((instance) => forgetFrigateConfig(instance));
+  };
+
   const frigate = async () => {
     const payload = JSON.parse(message.toString());
     console.verbose(`Incoming event from frigate: ${message.toString()}`);
-    if (payload.type === 'end') return;
 
     await axios({
       method: 'post',
@@ -83,7 +152,28 @@ const processMessage = ({ topic, message }) => {
     });
   };
 
-  return { init, snapshot, frigate };
+  const command = async () => {
+    const name = topic.slice(`${MQTT.TOPICS.COMMANDS}/`.length);
+    // results are published under the same prefix, so skip them along with nested topics
+    if (!name || name.includes('/')) return;
+
+    const result = await commands.run(name, message.toString());
+    this.publish({
+      topic: `${MQTT.TOPICS.COMMANDS}/${result.id}/result`,
+      retain: false,
+      message: JSON.stringify(result),
+    });
+  };
+
+  // switch from home assistant discovery that pauses recognition
+  const recognition = async () => {
+    const camera = topic.slice(`${MQTT.TOPICS.CAMERAS}/`.length).split('/')[0];
+    const state = message.toString().toUpperCase();
+    if (state === 'ON') pause.resume(camera);
+    else if (state === 'OFF') pause.pause(camera);
+  };
+
+  return { init, snapshot, available, frigate, command, recognition };
 };
 
 module.exports.connect = () => {
@@ -102,6 +192,8 @@ module.exports.connect = () => {
       ca: MQTT.TLS.CA ? filesystem.readFileSync(MQTT.TLS.CA) : null,
       rejectUnauthorized: MQTT.TLS.REJECT_UNAUTHORIZED ? MQTT.TLS.REJECT_UNAUTHORIZED : true,
       protocol: MQTT.PROTOCOL ? MQTT.PROTOCOL : 'mqtt',
+      // the broker publishes offline when the connection drops without a clean shutdown
+      will: { topic: 'double-take/available', payload: 'offline', qos: 1, retain: true },
     });
 
     CLIENT.on('connect', () => {
@@ -109,6 +201,7 @@ module.exports.connect = () => {
       this.publish({ topic: 'double-take/errors' });
       this.available('online');
       this.subscribe();
+      this.discover();
     })
       .on('error', (err) => logStatus(err.message, console.error))
       .on('offline', () => logStatus('offline', console.error))
@@ -129,23 +222,26 @@ module.exports.subscribe = () => {
 
   topics.push(...cameraTopics());
 
-  if (FRIGATE?.URL && MQTT.TOPICS.FRIGATE) {
-    const isArray = Array.isArray(MQTT.TOPICS.FRIGATE);
-
-    const frigateTopics = isArray ? MQTT.TOPICS.FRIGATE : [MQTT.TOPICS.FRIGATE];
-    topics.push(...frigateTopics);
-    frigateTopics.forEach((topic) => {
-      const [prefix] = topic.split('/');
-      topics.push(
-        ...(FRIGATE.CAMERAS
-          ? FRIGATE.CAMERAS.map((camera) => `${prefix}/${camera}/person/snapshot`)
-          : [`${prefix}/+/person/snapshot`])
-      );
-    });
-  }
+  frigateInstances().forEach(({ TOPIC, CAMERAS: INSTANCE_CAMERAS }) => {
+    topics.push(TOPIC);
+    const [prefix] = TOPIC.split('/');
+    topics.push(`${prefix}/available`);
+    topics.push(
+      ...(INSTANCE_CAMERAS
+        ? INSTANCE_CAMERAS.map((camera) => `${prefix}/${camera}/person/snapshot`)
+        : [`${prefix}/+/person/snapshot`])
+    );
+  });
+
+  if (MQTT.TOPICS.COMMANDS) topics.push(`${MQTT.TOPICS.COMMANDS}/#`);
+  if (MQTT.TOPICS.HOMEASSISTANT) topics.push(`${MQTT.TOPICS.CAMERAS}/+/recognition/set`);
 
   if (topics.length) {
-    CLIENT.subscribe(topics, (err) => {
+    const subscriptions = topics.reduce((obj, topic) => {
+      obj[topic] = { qos: topicOptions(topic).QOS ?? 0 };
+      return obj;
+    }, {});
+    CLIENT.subscribe(subscriptions, (err) => {
       if (err) {
         console.error(`MQTT: error subscribing to ${topics.join(', ')}`);
         return;
@@ -157,6 +253,73 @@ module.exports.subscribe = () => {
   }
 };
 
+/**
+ * Publishes Home Assistant discovery for every known camera and trained person, along with the
+ * unknown sensor and the recognition switch states.
+ */
+module.exports.discover = async () => {
+  try {
+    if (!MQTT.TOPICS.HOMEASSISTANT) return;
+    DISCOVERED = { cameras: [], people: [] };
+
+    const cameras = [
+      ...Object.keys(CAMERAS || {}),
+      ...(await frigateCameras().catch(() => [])),
+    ].map((camera) => camera.toLowerCase());
+    const people = await fs
+      .folders()
+      .train()
+      .catch(() => []);
+
+    this.publish(homeassistant.unknown());
+    [...new Set(cameras)].forEach((camera) => this.discoverCamera(camera));
+    people.forEach((name) => this.discoverPerson(name));
+    presence.status().forEach(({ name, state }) =>
+      this.publish({
+        topic: homeassistant.topics.tracker(homeassistant.slug(name).topic),
+        retain: true,
+        message: state,
+      })
+    );
+    console.verbose(
+      `MQTT: published discovery for ${DISCOVERED.cameras.length} camera(s) and ${DISCOVERED.people.length} person(s)`
+    );
+  } catch (error) {
+    error.message = `MQTT: discovery error: ${error.message}`;
+    console.error(error);
+  }
+};
+
+module.exports.discoverCamera = (camera) => {
+  if (!MQTT.TOPICS.HOMEASSISTANT || DISCOVERED.cameras.includes(camera)) return;
+  DISCOVERED.cameras.push(camera);
+  this.publish([
+    ...homeassistant.camera(camera, { button: !!commands.snapshotURL(camera) }),
+    {
+      topic: homeassistant.topics.recognition(camera),
+      retain: true,
+      message: pause.paused(camera) ? 'OFF' : 'ON',
+    },
+  ]);
+};
+
+module.exports.discoverPerson = (name) => {
+  if (!MQTT.TOPICS.HOMEASSISTANT || DISCOVERED.people.includes(name)) return;
+  DISCOVERED.people.push(name);
+  this.publish(homeassistant.person(name));
+};
+
+/**
+ * Removes the Home Assistant entities of a deleted person.
+ *
+ * @param {string} name - Person name.
+ */
+module.exports.forget = (name) => {
+  if (!MQTT || !MQTT.HOST || !MQTT.TOPICS.HOMEASSISTANT) return;
+  DISCOVERED.people = DISCOVERED.people.filter((person) => person !== name);
+  this.publish(homeassistant.remove(name));
+};
+
 module.exports.recognize = (data) => {
   try {
     if (!MQTT || !MQTT.HOST) return;
@@ -209,27 +372,12 @@ module.exports.recognize = (data) => {
       messages.push({
         topic: `${MQTT.TOPICS.MATCHES}/unknown`,
         retain: false,
-        message: JSON.stringify(payload.unknown),
+        message: format('unknown', payload.unknown),
       });
 
       if (MQTT.TOPICS.HOMEASSISTANT) {
         messages.push({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/unknown/config`,
-          retain: true,
-          message: JSON.stringify({
-            name: 'double_take_unknown',
-            icon: 'mdi:account',
-            value_template: '{{ value_json.camera }}',
-            state_topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/unknown/state`,
-            json_attributes_topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/unknown/state`,
-            availability_topic: 'double-take/available',
-            unique_id: `double_take_unknown`,
-            expire_after: 600,
-          }),
-        });
-
-        messages.push({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/unknown/state`,
+          topic: homeassistant.topics.sensor('unknown'),
           retain: true,
           message: JSON.stringify(payload.unknown),
         });
@@ -237,64 +385,20 @@ module.exports.recognize = (data) => {
     }
 
     matches.forEach((match) => {
-      const topic = romanize(match.name.replace(/\s+/g, '-')).replace(/[^a-z0-9-]/gi, '');
-      const name = romanize(match.name.replace(/\s+/g, '_'));
+      const { topic } = homeassistant.slug(match.name);
 
       messages.push({
         topic: `${MQTT.TOPICS.MATCHES}/${topic}`,
         retain: false,
-        message: JSON.stringify({
-          ...payload.match,
-          match,
-        }),
+        message: format('match', { ...payload.match, match }),
       });
 
       if (MQTT.TOPICS.HOMEASSISTANT) {
-        // Add device tracker for each recognized person
-        messages.push({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/device_tracker/double-take/${topic}/config`,
-          retain: true,
-          message: JSON.stringify({
-            name: `${match.name}`,
-            object_id: `double_take_${name}`,
-            icon: 'mdi:account',
-            state_topic: `${MQTT.TOPICS.HOMEASSISTANT}/device_tracker/double-take/${topic}/state`,
-            unique_id: `double_take_tracker_${name}`,
-          }),
-        });
-
-        messages.push({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/device_tracker/double-take/${topic}/state`,
-          retain: true,
-          message: 'home',
-        });
-        clearTimeout(PERSON_RESET_TIMEOUT[topic]);
-        PERSON_RESET_TIMEOUT[topic] = setTimeout(() => {
-          this.publish({
-            topic: `${MQTT.TOPICS.HOMEASSISTANT}/device_tracker/double-take/${topic}/state`,
-            retain: true,
-            message: 'not_home',
-          });
-        }, 1000 * 60 * FRIGATE.DEVICE_TRACKER_TIMEOUT); // 30 min
-
-        messages.push({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${topic}/config`,
-          retain: true,
-          message: JSON.stringify({
-            name: `${match.name}`,
-            object_id: `double_take_${name}`,
-            icon: 'mdi:account',
-            value_template: '{{ value_json.camera }}',
-            state_topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${topic}/state`,
-            json_attributes_topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${topic}/state`,
-            availability_topic: 'double-take/available',
-            unique_id: `double_take_${name}`,
-            expire_after: 600,
-          }),
-        });
+        // people trained outside of double take are discovered when they're first matched
+        this.discoverPerson(match.name);
 
         messages.push({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${topic}/state`,
+          topic: homeassistant.topics.sensor(topic),
           retain: true,
           message: JSON.stringify({
             ...payload.match,
@@ -308,26 +412,15 @@ module.exports.recognize = (data) => {
       messages.push({
         topic: `${MQTT.TOPICS.CAMERAS}/${camera}`,
         retain: false,
-        message: JSON.stringify(payload.camera),
+        message: format('camera', payload.camera),
       });
 
       if (MQTT.TOPICS.HOMEASSISTANT) {
-        messages.push({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${camera}/config`,
-          retain: true,
-          message: JSON.stringify({
-            name: `double_take_${camera}`,
-            icon: 'mdi:camera',
-            value_template: '{{ value_json.counts.person }}',
-            state_topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${camera}/state`,
-            json_attributes_topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${camera}/state`,
-            availability_topic: 'double-take/available',
-            unique_id: `double_take_${camera}`,
-          }),
-        });
+        // cameras that only send mqtt snapshots or manual requests are discovered on first use
+        this.discoverCamera(camera);
 
         messages.push({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${camera}/state`,
+          topic: homeassistant.topics.sensor(camera),
           retain: true,
           message: JSON.stringify(payload.camera),
         });
@@ -335,6 +428,7 @@ module.exports.recognize = (data) => {
     }
 
     this.publish(messages);
+    if (MQTT.IMAGES?.ENABLED) this.images({ camera, matches, misses, unknowns });
 
     clearTimeout(PERSON_RESET_TIMEOUT[camera]);
     PERSON_RESET_TIMEOUT[camera] = setTimeout(() => {
@@ -345,7 +439,7 @@ module.exports.recognize = (data) => {
       });
       if (MQTT.TOPICS.HOMEASSISTANT) {
         this.publish({
-          topic: `${MQTT.TOPICS.HOMEASSISTANT}/sensor/double-take/${camera}/state`,
+          topic: homeassistant.topics.sensor(camera),
           retain: true,
           message: JSON.stringify(payload.cameraReset),
         });
@@ -357,6 +451,84 @@ module.exports.recognize = (data) => {
   }
 };
 
+/**
+ * Publishes annotated images of a recognition as retained binary payloads: the image of the
+ * camera's latest image and the image of every match.
+ *
+ * @param {object} data - Camera, matches, misses and unknowns of the recognition.
+ */
+module.exports.images = async ({ camera, matches, misses, unknowns }) => {
+  try {
+    const { MAX_WIDTH: width, QUALITY: quality } = MQTT.IMAGES;
+    const render = (filename) => annotate.match(filename, { width, quality });
+    const messages = [];
+
+    // same image as recognize.util.save.latest writes for the camera
+    const latest = [...matches, ...misses][0]?.filename || unknowns[0]?.filename;
+    const image = latest ? await render(latest) : false;
+    if (image)
+      messages.push({
+        topic: homeassistant.topics.cameraImage(camera),
+        retain: true,
+        message: image,
+      });
+
+    const names = [];
+    for (const { name, filename } of matches) {
+      if (!names.includes(name)) {
+        names.push(name);
+        const match = await render(filename);
+        if (match)
+          messages.push({
+            topic: homeassistant.topics.matchImage(homeassistant.slug(name).topic),
+            retain: true,
+            message: match,
+          });
+      }
+    }
+
+    if (messages.length) this.publish(messages);
+  } catch (error) {
+    error.message = `MQTT: images error: ${error.message}`;
+    console.error(error);
+  }
+};
+
+module.exports.detector = (data) => {
+  try {
+    if (!MQTT || !MQTT.HOST) return;
+    const { detector } = data;
+    const messages = [
+      {
+        topic: `${MQTT.TOPICS.DETECTORS}/${detector}`,
+        retain: true,
+        message: JSON.stringify(data),
+      },
+    ];
+
+    if (MQTT.TOPICS.HOMEASSISTANT) messages.push(homeassistant.detector(detector));
+
+    this.publish(messages);
+  } catch (error) {
+    error.message = `MQTT: detector error: ${error.message}`;
+    console.error(error);
+  }
+};
+
+module.exports.summary = (data) => {
+  try {
+    if (!MQTT || !MQTT.HOST) return;
+    this.publish({
+      topic: `${MQTT.TOPICS.EVENTS}/${data.id}/summary`,
+      retain: false,
+      message: JSON.stringify(data),
+    });
+  } catch (error) {
+    error.message = `MQTT: summary error: ${error.message}`;
+    console.error(error);
+  }
+};
+
 module.exports.publish = (data) => {
   if (!CLIENT) return;
   const multiple = Array.isArray(data);
@@ -365,9 +537,10 @@ module.exports.publish = (data) => {
   if (!single && !multiple) console.error('MQTT: publish error');
 
   const messages = single ? [{ ...data }] : data;
-  messages.forEach((message) =>
-    CLIENT.publish(message.topic, message.message, { retain: message.retain === true })
-  );
+  messages.forEach((message) => {
+    const { QOS: qos = 0, RETAIN: retain = message.retain === true } = topicOptions(message.topic);
+    CLIENT.publish(message.topic, message.message, { qos, retain });
+  });
 };
 
 module.exports.status = () => ({
@@ -0,0 +1,175 @@
+const database = require('./db.util');
+const time = require('./time.util');
+const factory = require('./notify/factory');
+const { NOTIFY } = require('../constants')();
+
+const TIMERS = {};
+
+const attempts = () => NOTIFY?.RETRIES ?? 5;
+
+const delay = () => NOTIFY?.RETRY_DELAY ?? 30;
+
+const format = ({ payload, ...notification }) => ({
+  ...notification,
+  ...(payload !== undefined ? { payload: JSON.parse(payload) } : {}),
+});
+
+const summary = ({ camera, matches = [], unknowns = [] }, message) => {
+  if (message) return message;
+  const names = matches.map(({ name }) => name);
+  if (unknowns.length) names.push('unknown');
+  return `${camera}: ${names.join(', ')}`;
+};
+
+module.exports.get = (id) => {
+  const [notification] = database
+    .connect()
+    .prepare('SELECT * FROM notification WHERE id = ?')
+    .all(id);
+  return notification ? format(notification) : false;
+};
+
+/**
+ * Records a notification before it's sent, the output and message are kept so it can be retried
+ * or resent later.
+ *
+ * @param {object} delivery - Delivery.
+ * @param {string} delivery.service - Notify service.
+ * @param {string} delivery.rule - Name of the notify rule that matched.
+ * @param {object} delivery.output - Recognition output.
+ * @param {string} delivery.message - Message of the rule.
+ * @return {number} Notification id.
+ */
+module.exports.create = ({ service, rule = null, output, message }) => {
+  const now = time.utc();
+  // image of the match that was notified, the same one the notify services attach
+  const [match] = [...(output.matches || []), ...(output.unknowns || [])];
+  const { lastInsertRowid } = database
+    .connect()
+    .prepare(
+      `INSERT INTO notification (service, rule, eventId, filename, camera, summary, payload, status, error, retries, nextRetryAt, createdAt, updatedAt)
+        VALUES (:service, :rule, :eventId, :filename, :camera, :summary, :payload, 'pending', NULL, 0, NULL, :now, :now)`
+    )
+    .run({
+      service,
+      rule,
+      eventId: output.id || null,
+      filename: match?.filename || null,
+      camera: output.camera,
+      summary: summary(output, message),
+      payload: JSON.stringify({ output, message }),
+      now,
+    });
+  return lastInsertRowid;
+};
+
+const update = (id, { status, error, retries, nextRetryAt }) =>
+  database
+    .connect()
+    .prepare(
+      `UPDATE notification SET status = :status, error = :error, retries = :retries, nextRetryAt = :nextRetryAt, updatedAt = :updatedAt
+        WHERE id = :id`
+    )
+    .run({ id, status, error, retries, nextRetryAt, updatedAt: time.utc() });
+
+/**
+ * Sends a notification and records the result. Failed notifications are retried with an
+ * exponential backoff of notify.retry_delay seconds until notify.retries is reached.
+ *
+ * @param {number} id - Notification id.
+ * @return {Promise<boolean>} Whether the notification was sent.
+ */
+module.exports.deliver = async (id) => {
+  delete TIMERS[id];
+  try {
+    const notification = this.get(id);
+    if (!notification) return false;
+    const { service, retries, payload } = notification;
+
+    try {
+      await factory.get(service).send(payload.output, { message: payload.message });
+      update(id, { status: 'sent', error: null, retries, nextRetryAt: null });
+      return true;
+    } catch (error) {
+      console.error(`${service} send error: ${error.message}`);
+      if (retries >= attempts()) {
+        update(id, { status: 'failed', error: error.message, retries, nextRetryAt: null });
+        return false;
+      }
+      const nextRetryAt = new Date(Date.now() + delay() * 2 ** retries * 1000).toISOString();
+      update(id, { status: 'retrying', error: error.message, retries: retries + 1, nextRetryAt });
+      this.schedule(id, nextRetryAt);
+      return false;
+    }
+  } catch (error) {
+    error.message = `notification error: ${error.message}`;
+    console.error(error);
+    return false;
+  }
+};
+
+module.exports.schedule = (id, nextRetryAt) => {
+  clearTimeout(TIMERS[id]);
+  const wait = Math.max(new Date(nextRetryAt || Date.now()).getTime() - Date.now(), 0);
+  TIMERS[id] = setTimeout(() => this.deliver(id), wait);
+};
+
+/**
+ * Records and sends a notification, it's sent without being recorded if the database fails.
+ *
+ * @param {object} delivery - Delivery passed to `create()`.
+ * @return {Promise<boolean>} Whether the notification was sent.
+ */
+module.exports.send = async (delivery) => {
+  let id;
+  try {
+    id = this.create(delivery);
+  } catch (error) {
+    error.message = `notification error: ${error.message}`;
+    console.error(error);
+    const { service, output, message } = delivery;
+    return factory
+      .get(service)
+      .send(output, { message })
+      .then(() => true)
+      .catch((sendError) => {
+        console.error(`${service} send error: ${sendError.message}`);
+        return false;
+      });
+  }
+  return this.deliver(id);
+};
+
+/**
+ * Sends a recorded notification again as a new notification.
+ *
+ * @param {number} id - Notification id.
+ * @return {Promise<object|false>} New notification with the status of its delivery.
+ */
+module.exports.resend = async (id) => {
+  const notification = this.get(id);
+  if (!notification) return false;
+  const { service, rule, payload } = notification;
+  const resent = this.create({ service, rule, ...payload });
+  await this.deliver(resent);
+  return this.get(resent);
+};
+
+/**
+ * Schedules the retries that were waiting before a restart, notifications that were being sent
+ * when Double Take stopped are sent again.
+ */
+module.exports.init = () => {
+  try {
+    database
+      .connect()
+      .prepare(
+        `SELECT id, nextRetryAt FROM notification WHERE status IN ('pending', 'retrying') ORDER BY id`
+      )
+      .all()
+      .forEach(({ id, nextRetryAt }) => this.schedule(id, nextRetryAt));
+  } catch (error) {
+    error.message = `notification init error: ${error.message}`;
+    console.error(error);
+  }
+};
@@ -1,9 +1,11 @@
 const factory = require('../factory');
+const rules = require('../rules');
+const notification = require('../../notification.util');
 const { NOTIFY } = require('../../../constants')();
 const SERVICES = require('../../../constants/config').notify_services();
 const ONLY_UNKNOWN = require('../../../constants/config').notify_unknown();
 
-module.exports.send = (service, output) => factory.get(service).send(output);
+module.exports.send = (service, output, options = {}) => factory.get(service).send(output, options);
 
 /**
  * Publishes the output of the camera analysis to the specified services.
@@ -14,7 +16,8 @@ module.exports.send = (service, output) => factory.get(service).send(output);
  * @return {undefined} No return value.
  */
 module.exports.publish = (output, camera, zones) => {
-  if (ONLY_UNKNOWN && !output.unknown) {
+  const unknown = output.unknowns?.length > 0;
+  if (ONLY_UNKNOWN && !unknown) {
     // console.debug(`sendings only unknown enabled`);
     return;
   }
@@ -25,16 +28,24 @@ module.exports.publish = (output, camera, zones) => {
     return;
   }
   */
-  if (!output.unknown && !output.matches.length) {
+  if (!unknown && !output.matches.length) {
     return;
   }
 
-  for (const service of SERVICES) {
+  // with rules only the services of the rules that match are sent to, with their own message
+  const deliveries = NOTIFY?.RULES?.length
+    ? rules.route(output, { camera, zones })
+    : SERVICES.map((service) => ({ service, output }));
+
+  // every notification is recorded in the notification table and retried when it fails
+  for (const { service, rule, output: result, message } of deliveries) {
     const check = this.checks(service, { camera, zones });
     if (check === true) {
-      this.send(service, output).catch((error) => {
-        console.error(`${service} send error: ${error.message}`);
-      });
+      // services with several targets, like webhook endpoints, record and retry each one on its own
+      const { targets } = factory.get(service);
+      (targets ? targets(result).map((target) => `${service}:${target}`) : [service]).forEach(
+        (name) => notification.send({ service: name, rule, output: result, message })
+      );
     } else {
       console.error(`${service}: ${check}`);
     }
@@ -48,11 +59,12 @@ module.exports.publish = (output, camera, zones) => {
  * @param {Object} options - The options object containing the camera and zones.
  * @param {string} options.camera - The camera to check.
  * @param {Array} options.zones - The zones to check.
+ * @param {Object} settings - The cameras and zones to check against, defaults to the service config.
  * @return {boolean|string} - Returns true if the camera and zones are approved,
  *                           otherwise returns an error message.
  */
-module.exports.checks = (service, { camera, zones }) => {
-  const { CAMERAS, ZONES } = NOTIFY[service.toUpperCase()];
+module.exports.checks = (service, { camera, zones }, settings = NOTIFY[service.toUpperCase()]) => {
+  const { CAMERAS, ZONES } = settings;
   if (CAMERAS && !CAMERAS.includes(camera)) {
     return `${camera} not on approved list`;
   }
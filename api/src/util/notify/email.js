@@ -0,0 +1,77 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { oxfordComma } = require('../helpers.util');
+const { SERVER, UI } = require('../../constants')();
+const { EMAIL } = require('../../constants')().NOTIFY || {};
+
+const IMAGE_CID = 'double-take-match';
+
+let transporter = false;
+
+const escape = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char])
+  );
+
+/**
+ * SMTP transport, `tls` connects over TLS, `starttls` requires the connection to be upgraded and
+ * `none` never upgrades it, which is what local SMTP sinks expect.
+ *
+ * @return {object} Nodemailer transport.
+ */
+module.exports.transport = () => {
+  if (transporter) return transporter;
+  transporter = nodemailer.createTransport({
+    host: EMAIL.HOST,
+    port: EMAIL.PORT,
+    secure: EMAIL.SECURITY === 'tls',
+    requireTLS: EMAIL.SECURITY === 'starttls',
+    ignoreTLS: EMAIL.SECURITY === 'none',
+    auth: EMAIL.USERNAME ? { user: EMAIL.USERNAME, pass: EMAIL.PASSWORD } : undefined,
+  });
+  return transporter;
+};
+
+module.exports.send = async (output, options = {}) => {
+  const { filename, subject, text, html } = this.normalize(output, options);
+  const { data: buffer } = await axios({
+    method: 'get',
+    url: `http://0.0.0.0:${SERVER.PORT}${UI.PATH}/api/storage/matches/${filename}?box=true`,
+    responseType: 'arraybuffer',
+  });
+
+  return this.transport().sendMail({
+    from: EMAIL.FROM,
+    to: EMAIL.TO,
+    subject,
+    text,
+    html,
+    attachments: [{ filename, content: buffer, contentType: 'image/jpeg', cid: IMAGE_CID }],
+  });
+};
+
+module.exports.normalize = (output, { message: template } = {}) => {
+  const { camera, matches, unknowns = [] } = output;
+  const [result] = [...matches, ...unknowns];
+  const results = matches.map((match) => `${match.name} - ${match.confidence}%`);
+  if (unknowns.length) results.push('unknown');
+  const message = template || `${camera}: ${oxfordComma(results)}`;
+
+  const rows = [...matches, ...unknowns]
+    .map(({ name, confidence, detector }) => [name, `${confidence}%`, detector].map(escape))
+    .map((cells) => `<tr><td>${cells.join('</td><td>')}</td></tr>`)
+    .join('');
+  const html = `<html><body style="font-family: sans-serif;">
+<h3>${escape(message)}</h3>
+<table cellpadding="4">${rows}</table>
+<p><img src="cid:${IMAGE_CID}" alt="${escape(camera)}" style="max-width: 100%;" /></p>
+</body></html>`;
+
+  return {
+    filename: result?.filename,
+    subject: `Double Take: ${message}`,
+    text: `${message}\n`,
+    html,
+  };
+};
@@ -0,0 +1,112 @@
+const EMAIL = {
+  HOST: 'localhost',
+  PORT: 1025,
+  SECURITY: 'none',
+  FROM: 'double-take@example.com',
+  TO: ['alice@example.com', 'bob@example.com'],
+  CAMERAS: ['front', 'garage'],
+  ZONES: [{ CAMERA: 'garage', ZONE: 'driveway' }],
+};
+
+jest.mock('axios', () => jest.fn(async () => ({ data: Buffer.from('boxed') })));
+jest.mock('nodemailer', () => ({ createTransport: jest.fn() }));
+jest.mock('./factory', () => ({ get: jest.fn() }));
+jest.mock('./rules', () => ({ route: jest.fn() }));
+jest.mock('../notification.util', () => ({ send: jest.fn() }));
+jest.mock('../../constants', () =>
+  jest.fn(() => ({ SERVER: { PORT: 3000 }, UI: { PATH: '' }, NOTIFY: { EMAIL } }))
+);
+jest.mock('../../constants/config', () => ({
+  notify_services: () => ['email'],
+  notify_unknown: () => false,
+}));
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const actions = require('./actions');
+
+const OUTPUT = {
+  camera: 'front',
+  matches: [{ name: 'alice', confidence: 92, detector: 'compreface', filename: 'a.jpg' }],
+  unknowns: [{ name: 'unknown', confidence: 40, detector: 'compreface', filename: 'b.jpg' }],
+};
+
+let email;
+const sendMail = jest.fn(async () => ({ messageId: '1' }));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  nodemailer.createTransport.mockReturnValue({ sendMail });
+  // the transport is cached, every test gets a fresh one for its security setting
+  jest.isolateModules(() => {
+    email = require('./email');
+  });
+});
+
+describe('transport', () => {
+  it.each([
+    ['tls', { secure: true, requireTLS: false, ignoreTLS: false }],
+    ['starttls', { secure: false, requireTLS: true, ignoreTLS: false }],
+    ['none', { secure: false, requireTLS: false, ignoreTLS: true }],
+  ])('should connect with %s', (security, options) => {
+    EMAIL.SECURITY = security;
+    email.transport();
+    expect(nodemailer.createTransport).toHaveBeenCalledWith(
+      expect.objectContaining({ host: 'localhost', port: 1025, auth: undefined, ...options })
+    );
+  });
+
+  it('should log in when a username is set', () => {
+    Object.assign(EMAIL, { USERNAME: 'user', PASSWORD: 'secret' });
+    email.transport();
+    expect(nodemailer.createTransport.mock.calls[0][0].auth).toEqual({
+      user: 'user',
+      pass: 'secret',
+    });
+    Object.assign(EMAIL, { USERNAME: undefined, PASSWORD: undefined });
+  });
+});
+
+describe('send', () => {
+  it('should mail every recipient the boxed image inline with a plain-text fallback', async () => {
+    await email.send(OUTPUT);
+    expect(axios).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: 'http://0.0.0.0:3000/api/storage/matches/a.jpg?box=true',
+      })
+    );
+
+    const [mail] = sendMail.mock.calls[0];
+    expect(mail).toMatchObject({
+      from: 'double-take@example.com',
+      to: ['alice@example.com', 'bob@example.com'],
+      subject: 'Double Take: front: alice - 92% and unknown',
+      text: 'front: alice - 92% and unknown\n',
+    });
+    const [attachment] = mail.attachments;
+    expect(attachment).toMatchObject({ filename: 'a.jpg', content: Buffer.from('boxed') });
+    expect(mail.html).toContain(`<img src="cid:${attachment.cid}"`);
+    expect(mail.html).toContain('<tr><td>alice</td><td>92%</td><td>compreface</td></tr>');
+  });
+
+  it('should use the rule message and escape it in the HTML', async () => {
+    await email.send(OUTPUT, { message: '<alice> is at the "front"' });
+    const [{ subject, text, html }] = sendMail.mock.calls[0];
+    expect(subject).toBe('Double Take: <alice> is at the "front"');
+    expect(text).toBe('<alice> is at the "front"\n');
+    expect(html).toContain('<h3>&lt;alice&gt; is at the &quot;front&quot;</h3>');
+  });
+});
+
+describe('checks', () => {
+  it('should only send for the approved cameras and zones', () => {
+    expect(actions.checks('email', { camera: 'front', zones: [] })).toBe(true);
+    expect(actions.checks('email', { camera: 'back', zones: [] })).toBe(
+      'back not on approved list'
+    );
+    expect(actions.checks('email', { camera: 'garage', zones: ['driveway'] })).toBe(true);
+    expect(actions.checks('email', { camera: 'garage', zones: ['porch'] })).toBe(
+      'garage zone not on approved list'
+    );
+  });
+});
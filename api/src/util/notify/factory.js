@@ -2,7 +2,10 @@ const services = require('.');
 
 module.exports.get = (service) => {
   try {
-    return services[service];
+    // a target like webhook:<name> only sends to that endpoint of the service
+    const [name, target] = service.split(':');
+    if (!target) return services[name];
+    return { send: (output, options = {}) => services[name].send(output, { ...options, target }) };
   } catch (error) {
     error.message = `${service} factory error: ${error.message}`;
     console.error(error);
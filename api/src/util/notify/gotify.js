@@ -3,8 +3,8 @@ const { oxfordComma } = require('../helpers.util');
 const { SERVER, UI } = require('../../constants')();
 const { GOTIFY } = require('../../constants')().NOTIFY || {};
 
-module.exports.send = async (output) => {
-  const { filename, message } = this.normalize(output);
+module.exports.send = async (output, options = {}) => {
+  const { filename, message } = this.normalize(output, options);
   const { data: buffer } = await axios({
     method: 'get',
     url: `http://0.0.0.0:${SERVER.PORT}${UI.PATH}/api/storage/matches/${filename}?box=true`,
@@ -28,17 +28,17 @@ module.exports.send = async (output) => {
   });
 };
 
-module.exports.normalize = (output) => {
-  const { camera, matches, unknown } = output;
+module.exports.normalize = (output, { message: template } = {}) => {
+  const { camera, matches, unknowns = [] } = output;
   const results = [];
-  const filename = matches.length ? matches[0].filename : unknown.filename;
+  const filename = matches.length ? matches[0].filename : unknowns[0]?.filename;
   matches.forEach((match) => {
     results.push(`${match.name} - ${match.confidence}%`);
   });
-  if (unknown && Object.keys(unknown).length) {
+  if (unknowns.length) {
     results.push('unknown');
   }
-  const message = `${camera}: ${oxfordComma(results)}`;
+  const message = template || `${camera}: ${oxfordComma(results)}`;
 
   return { filename, message };
 };
@@ -0,0 +1,27 @@
+const { UI } = require('../../constants')();
+
+/**
+ * Settings of a service for a result. Results without matches use the settings under `unknown`,
+ * results with matches use the settings under `people` of the first matched person that has any.
+ *
+ * @param {object} settings - Service config.
+ * @param {object} output - Recognition output.
+ * @return {object} Service config with the overrides applied.
+ */
+module.exports.overrides = (settings, { matches = [] }) => {
+  const { UNKNOWN, PEOPLE = {}, ...options } = settings;
+  if (!matches.length) return { ...options, ...UNKNOWN };
+  const person = matches.map(({ name }) => PEOPLE[name.toUpperCase()]).find(Boolean);
+  return { ...options, ...person };
+};
+
+/**
+ * Link to the match in the UI, needs `ui.url` to be set.
+ *
+ * @param {string} filename - Match image.
+ * @return {string|undefined} URL.
+ */
+module.exports.link = (filename) => {
+  if (!UI.URL || !filename) return;
+  return `${UI.URL.replace(/\/$/, '')}/?file=${encodeURIComponent(filename)}`;
+};
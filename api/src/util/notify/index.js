@@ -1,7 +1,15 @@
+const email = require('./email');
 const gotify = require('./gotify');
+const ntfy = require('./ntfy');
+const pushover = require('./pushover');
 const telegram = require('./telegram');
+const webhook = require('./webhook');
 
 module.exports = {
+  email,
   gotify,
+  ntfy,
+  pushover,
   telegram,
+  webhook,
 };
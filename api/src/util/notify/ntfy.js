@@ -0,0 +1,50 @@
+const axios = require('axios');
+const { oxfordComma } = require('../helpers.util');
+const { overrides, link } = require('./helpers');
+const { SERVER, UI } = require('../../constants')();
+const { NTFY } = require('../../constants')().NOTIFY || {};
+
+const auth = () => {
+  if (NTFY.TOKEN) return { authorization: `Bearer ${NTFY.TOKEN}` };
+  if (NTFY.USERNAME)
+    return {
+      authorization: `Basic ${Buffer.from(`${NTFY.USERNAME}:${NTFY.PASSWORD}`).toString('base64')}`,
+    };
+  return {};
+};
+
+module.exports.send = async (output, options = {}) => {
+  const { filename, message } = this.normalize(output, options);
+  const { PRIORITY, TAGS } = overrides(NTFY, output);
+  const { data: buffer } = await axios({
+    method: 'get',
+    url: `http://0.0.0.0:${SERVER.PORT}${UI.PATH}/api/storage/matches/${filename}?box=true`,
+    responseType: 'arraybuffer',
+  });
+
+  // the message is sent as query parameters so the body can be the image attachment
+  return axios({
+    method: 'put',
+    url: `${NTFY.URL.replace(/\/$/, '')}/${NTFY.TOPIC}`,
+    headers: auth(),
+    params: {
+      title: 'Double Take',
+      message,
+      priority: PRIORITY,
+      tags: [].concat(TAGS || []).join(','),
+      click: link(filename),
+      filename,
+    },
+    data: buffer,
+  });
+};
+
+module.exports.normalize = (output, { message: template } = {}) => {
+  const { camera, matches, unknowns = [] } = output;
+  const results = matches.map((match) => `${match.name} - ${match.confidence}%`);
+  const filename = matches.length ? matches[0].filename : unknowns[0]?.filename;
+  if (unknowns.length) results.push('unknown');
+  const message = template || `${camera}: ${oxfordComma(results)}`;
+
+  return { filename, message };
+};
@@ -0,0 +1,53 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { oxfordComma } = require('../helpers.util');
+const { overrides, link } = require('./helpers');
+const { SERVER, UI } = require('../../constants')();
+const { PUSHOVER } = require('../../constants')().NOTIFY || {};
+
+module.exports.send = async (output, options = {}) => {
+  const { filename, message } = this.normalize(output, options);
+  const { PRIORITY, SOUND, RETRY, EXPIRE } = overrides(PUSHOVER, output);
+  const { data: buffer } = await axios({
+    method: 'get',
+    url: `http://0.0.0.0:${SERVER.PORT}${UI.PATH}/api/storage/matches/${filename}?box=true`,
+    responseType: 'arraybuffer',
+  });
+
+  const url = link(filename);
+  const formData = new FormData();
+  formData.append('token', PUSHOVER.TOKEN);
+  formData.append('user', PUSHOVER.USER);
+  if (PUSHOVER.DEVICE) formData.append('device', PUSHOVER.DEVICE);
+  formData.append('title', 'Double Take');
+  formData.append('message', message);
+  formData.append('priority', String(PRIORITY));
+  // emergency priority repeats the notification until it's acknowledged
+  if (PRIORITY === 2) {
+    formData.append('retry', String(RETRY));
+    formData.append('expire', String(EXPIRE));
+  }
+  if (SOUND) formData.append('sound', SOUND);
+  if (url) {
+    formData.append('url', url);
+    formData.append('url_title', 'View match');
+  }
+  formData.append('attachment', buffer, { filename, contentType: 'image/jpeg' });
+
+  return axios({
+    method: 'post',
+    url: 'https://api.pushover.net/1/messages.json',
+    headers: formData.getHeaders(),
+    data: formData,
+  });
+};
+
+module.exports.normalize = (output, { message: template } = {}) => {
+  const { camera, matches, unknowns = [] } = output;
+  const results = matches.map((match) => `${match.name} - ${match.confidence}%`);
+  const filename = matches.length ? matches[0].filename : unknowns[0]?.filename;
+  if (unknowns.length) results.push('unknown');
+  const message = template || `${camera}: ${oxfordComma(results)}`;
+
+  return { filename, message };
+};
@@ -0,0 +1,118 @@
+const schedule = require('../schedule.util');
+const template = require('../template.util');
+const { NOTIFY } = require('../../constants')();
+const SERVICES = require('../../constants/config').notify_services();
+
+const COOLDOWNS = {};
+
+const lower = (values) => values?.map((value) => String(value).toLowerCase());
+
+/**
+ * Checks a single match or unknown against the person, type and confidence conditions of a rule.
+ *
+ * @param {object} rule - Rule from notify.rules.
+ * @param {object} result - Match or unknown.
+ * @param {boolean} unknown - Whether the result is an unknown face.
+ * @return {boolean} Whether the result matches.
+ */
+module.exports.result = (rule, result, unknown) => {
+  const { PEOPLE, EXCLUDE, UNKNOWN, TYPES, CONFIDENCE = {} } = rule;
+  const name = result.name.toLowerCase();
+  if (UNKNOWN !== undefined && UNKNOWN !== unknown) return false;
+  if (PEOPLE?.length && (unknown || !lower(PEOPLE).includes(name))) return false;
+  if (EXCLUDE?.length && !unknown && lower(EXCLUDE).includes(name)) return false;
+  if (TYPES?.length && !TYPES.includes(result.type)) return false;
+  if (CONFIDENCE.MIN !== undefined && result.confidence < CONFIDENCE.MIN) return false;
+  if (CONFIDENCE.MAX !== undefined && result.confidence > CONFIDENCE.MAX) return false;
+  return true;
+};
+
+/**
+ * Checks the output of a recognition against a rule. Only the matches and unknowns that meet the
+ * rule are kept, so a rule for one person doesn't notify about everyone else in the image.
+ *
+ * @param {object} rule - Rule from notify.rules.
+ * @param {object} output - Recognition output.
+ * @param {object} sighting - Camera and zones of the recognition.
+ * @param {DateTime} date - Time used for the rule schedule, defaults to now.
+ * @return {object|false} Output with the results that matched or false.
+ */
+module.exports.match = (rule, output, { camera, zones = [] }, date) => {
+  const { CAMERAS, ZONES, SCHEDULE } = rule;
+  if (CAMERAS?.length && !lower(CAMERAS).includes(camera.toLowerCase())) return false;
+  if (ZONES?.length && !ZONES.some((zone) => zones.includes(zone))) return false;
+  if (SCHEDULE && !schedule.within({ days: lower(SCHEDULE.DAYS), times: SCHEDULE.TIMES }, date))
+    return false;
+
+  const matches = output.matches.filter((result) => this.result(rule, result, false));
+  const unknowns = (output.unknowns || []).filter((result) => this.result(rule, result, true));
+  if (!matches.length && !unknowns.length) return false;
+  return { ...output, matches, unknowns };
+};
+
+/**
+ * Starts the cooldown of a rule for each person in a notification on a camera, returns false
+ * while every one of them is still cooling down from a previous notification.
+ *
+ * @param {object} rule - Rule from notify.rules.
+ * @param {Array<string>} keys - Rule, camera and person of each person in the notification.
+ * @param {number} now - Current time in milliseconds.
+ * @return {boolean} Whether the notification can be sent.
+ */
+module.exports.cooldown = (rule, keys, now = Date.now()) => {
+  if (!rule.COOLDOWN) return true;
+  const ready = keys.filter(
+    (key) => !COOLDOWNS[key] || now - COOLDOWNS[key] >= rule.COOLDOWN * 60 * 1000
+  );
+  if (!ready.length) return false;
+  ready.forEach((key) => {
+    COOLDOWNS[key] = now;
+  });
+  return true;
+};
+
+/**
+ * Finds the services each rule sends a recognition to. Every matching rule sends its own
+ * notification, rules without services send to every configured service.
+ *
+ * @param {object} output - Recognition output.
+ * @param {object} sighting - Camera and zones of the recognition.
+ * @param {Array<object>} rules - Rules from notify.rules.
+ * @param {object} options - Options.
+ * @param {Array<string>} options.services - Configured services.
+ * @param {DateTime} options.date - Time used for rule schedules and cooldowns, defaults to now.
+ * @return {Array<object>} Service, rule name, filtered output and rendered message to send.
+ */
+module.exports.route = (
+  output,
+  sighting,
+  rules = NOTIFY?.RULES || [],
+  { services = SERVICES, date } = {}
+) => {
+  const deliveries = [];
+  rules.forEach((rule, i) => {
+    const name = rule.NAME || `rule ${i + 1}`;
+    const matched = this.match(rule, output, sighting, date);
+    if (!matched) return;
+
+    const people = matched.matches.map((match) => match.name.toLowerCase());
+    if (matched.unknowns.length) people.push('unknown');
+    const keys = people.map((person) => [name, sighting.camera, person].join(':'));
+    if (!this.cooldown(rule, keys, date ? date.valueOf() : undefined)) {
+      console.verbose(`notify: ${name} cooling down for ${sighting.camera}`);
+      return;
+    }
+
+    const message = rule.TEMPLATE
+      ? template.render(rule.TEMPLATE, { ...matched, rule: name })
+      : undefined;
+    (rule.SERVICES || services).forEach((service) => {
+      if (!services.includes(service)) {
+        console.error(`notify: ${name} service ${service} is not configured`);
+        return;
+      }
+      deliveries.push({ service, rule: name, output: matched, message });
+    });
+  });
+  return deliveries;
+};
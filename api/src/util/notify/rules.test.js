@@ -0,0 +1,107 @@
+const { DateTime } = require('luxon');
+const { match, route } = require('./rules');
+
+const OUTPUT = {
+  camera: 'front-door',
+  zones: ['porch'],
+  matches: [
+    { name: 'alice', confidence: 92, type: 'mqtt', filename: 'a.jpg' },
+    { name: 'bob', confidence: 71, type: 'mqtt', filename: 'b.jpg' },
+  ],
+  unknowns: [{ name: 'unknown', confidence: 40, type: 'mqtt', filename: 'c.jpg' }],
+};
+const SIGHTING = { camera: 'front-door', zones: ['porch'] };
+const MONDAY_NOON = DateTime.fromISO('2024-01-01T12:00:00');
+
+global.console.verbose = () => {};
+
+describe('match', () => {
+  it('should keep only the people of the rule', () => {
+    const { matches, unknowns } = match({ PEOPLE: ['Alice'] }, OUTPUT, SIGHTING);
+    expect(matches.map(({ name }) => name)).toEqual(['alice']);
+    expect(unknowns).toEqual([]);
+  });
+
+  it('should separate known and unknown faces', () => {
+    expect(match({ UNKNOWN: true }, OUTPUT, SIGHTING).matches).toEqual([]);
+    expect(match({ UNKNOWN: false, EXCLUDE: ['bob'] }, OUTPUT, SIGHTING).matches).toHaveLength(1);
+  });
+
+  it('should filter on camera, zone, type and confidence', () => {
+    expect(match({ CAMERAS: ['garage'] }, OUTPUT, SIGHTING)).toBe(false);
+    expect(match({ ZONES: ['driveway'] }, OUTPUT, SIGHTING)).toBe(false);
+    expect(match({ TYPES: ['snapshot'] }, OUTPUT, SIGHTING)).toBe(false);
+    expect(match({ CONFIDENCE: { MIN: 80 } }, OUTPUT, SIGHTING).matches).toHaveLength(1);
+  });
+
+  it('should follow the schedule, including ranges past midnight', () => {
+    const rule = (days, times) => ({ SCHEDULE: { DAYS: days, TIMES: times } });
+    expect(match(rule(['Monday'], ['08:00-18:00']), OUTPUT, SIGHTING, MONDAY_NOON)).toBeTruthy();
+    expect(match(rule(['tuesday'], []), OUTPUT, SIGHTING, MONDAY_NOON)).toBe(false);
+    expect(match(rule([], ['22:00-06:00']), OUTPUT, SIGHTING, MONDAY_NOON)).toBe(false);
+    expect(
+      match(rule([], ['22:00-06:00']), OUTPUT, SIGHTING, MONDAY_NOON.set({ hour: 3 }))
+    ).toBeTruthy();
+  });
+});
+
+describe('route', () => {
+  const SERVICES = ['gotify', 'ntfy'];
+
+  it('should send to the services of the rule with its template', () => {
+    const rules = [
+      {
+        NAME: 'alice',
+        PEOPLE: ['alice'],
+        SERVICES: ['ntfy'],
+        TEMPLATE: '{{ matches.0.name }} at {{ camera }}',
+      },
+    ];
+    expect(route(OUTPUT, SIGHTING, rules, { services: SERVICES, date: MONDAY_NOON })).toEqual([
+      {
+        service: 'ntfy',
+        rule: 'alice',
+        output: { ...OUTPUT, matches: [OUTPUT.matches[0]], unknowns: [] },
+        message: 'alice at front-door',
+      },
+    ]);
+  });
+
+  it('should send to every service without services and skip unconfigured ones', () => {
+    const rules = [{ UNKNOWN: true }, { UNKNOWN: true, SERVICES: ['telegram'] }];
+    const deliveries = route(OUTPUT, SIGHTING, rules, { services: SERVICES, date: MONDAY_NOON });
+    expect(deliveries.map(({ service, rule }) => `${rule}:${service}`)).toEqual([
+      'rule 1:gotify',
+      'rule 1:ntfy',
+    ]);
+  });
+
+  it('should only fire once per cooldown for the same people and camera', () => {
+    const rules = [{ NAME: 'cooldown', PEOPLE: ['alice'], COOLDOWN: 10 }];
+    const send = (sighting, minutes) =>
+      route(OUTPUT, sighting, rules, {
+        services: SERVICES,
+        date: MONDAY_NOON.plus({ minutes }),
+      }).length;
+    expect(send(SIGHTING, 0)).toBe(2);
+    expect(send(SIGHTING, 5)).toBe(0);
+    expect(send({ ...SIGHTING, camera: 'garage' }, 5)).toBe(2);
+    expect(send(SIGHTING, 11)).toBe(2);
+  });
+
+  it('should keep cooling down a person that comes back with someone else', () => {
+    const rules = [{ NAME: 'people', UNKNOWN: false, COOLDOWN: 10 }];
+    const send = (output, minutes) =>
+      route(output, SIGHTING, rules, {
+        services: ['ntfy'],
+        date: MONDAY_NOON.plus({ minutes }),
+      }).length;
+    const [alice, bob] = OUTPUT.matches;
+    expect(send({ ...OUTPUT, matches: [bob, alice] }, 0)).toBe(1);
+    expect(send({ ...OUTPUT, matches: [alice] }, 2)).toBe(0);
+    expect(send({ ...OUTPUT, matches: [alice, bob] }, 4)).toBe(0);
+    expect(send({ ...OUTPUT, matches: [alice, { ...bob, name: 'carol' }] }, 6)).toBe(1);
+    expect(send({ ...OUTPUT, matches: [{ ...bob, name: 'carol' }] }, 8)).toBe(0);
+    expect(send({ ...OUTPUT, matches: [alice] }, 10)).toBe(1);
+  });
+});
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const FormData = require('form-data');
+const actions = require('./actions');
+const annotate = require('../annotate.util');
+const crop = require('../crop.util');
+const template = require('../template.util');
+const { objectKeysToUpperCase } = require('../object.util');
+const config = require('../../constants/config');
+const { STORAGE } = require('../../constants')();
+
+const FACE_PADDING = 0.2;
+
+// endpoints are read from the raw config so their names and header names keep their case
+const endpoints = () => Object.entries(config().notify?.webhook || {});
+
+/**
+ * Image of the first match, or the first unknown when nothing matched.
+ *
+ * @param {string} type - `full` for the saved image, `boxed` with the results drawn on it or
+ * `face` for a crop of the face.
+ * @param {object} output - Recognition output.
+ * @return {Promise<Buffer|false>} JPEG or false when there's no image.
+ */
+module.exports.image = async (type, { matches = [], unknowns = [] }) => {
+  const [result] = [...matches, ...unknowns];
+  if (!result?.filename) return false;
+  const source = `${STORAGE.MEDIA.PATH}/matches/${result.filename}`;
+  if (!fs.existsSync(source)) return false;
+
+  if (type === 'full') return fs.readFileSync(source);
+  if (type === 'face' && result.box) {
+    const { buffer } = await crop.buffer({ source, box: result.box, padding: FACE_PADDING });
+    return buffer;
+  }
+  return annotate.match(result.filename);
+};
+
+/**
+ * Hex HMAC-SHA256 of the request body, sent as `X-DoubleTake-Signature: sha256=<hex>`.
+ *
+ * @param {string} secret - Endpoint secret.
+ * @param {Buffer|string} body - Raw request body.
+ * @return {string} Signature header value.
+ */
+module.exports.sign = (secret, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Builds the raw body and headers of a request. The body is the recognition output as JSON, or
+ * the rendered `body` template. With `image.mode: base64` the image is added as `image` and is
+ * available to the template, with `image.mode: multipart` the body is sent as the `payload` field
+ * next to an `image` file.
+ *
+ * @param {object} endpoint - Endpoint config.
+ * @param {object} output - Recognition output.
+ * @param {object} options - Message of the notify rule that matched, added to the output as
+ * `message`.
+ * @return {Promise<object>} Body and headers.
+ */
+module.exports.request = async (endpoint, output, { message } = {}) => {
+  const { body: bodyTemplate, image: imageOptions } = endpoint;
+  const mode = imageOptions?.mode || 'base64';
+  const image = imageOptions ? await this.image(imageOptions.type, output) : false;
+  const context = {
+    ...output,
+    ...(message ? { message } : {}),
+    ...(image && mode === 'base64' ? { image: image.toString('base64') } : {}),
+  };
+  const payload = bodyTemplate ? template.render(bodyTemplate, context) : JSON.stringify(context);
+
+  if (image && mode === 'multipart') {
+    const formData = new FormData();
+    formData.append('payload', payload, { contentType: 'application/json' });
+    formData.append('image', image, { filename: 'image.jpg', contentType: 'image/jpeg' });
+    return { body: formData.getBuffer(), headers: formData.getHeaders() };
+  }
+  return { body: payload, headers: { 'Content-Type': 'application/json' } };
+};
+
+module.exports.post = async (endpoint, output, options) => {
+  const { body, headers } = await this.request(endpoint, output, options);
+  return axios({
+    method: endpoint.method || 'POST',
+    url: endpoint.url,
+    headers: {
+      ...headers,
+      ...endpoint.headers,
+      ...(endpoint.secret ? { 'X-DoubleTake-Signature': this.sign(endpoint.secret, body) } : {}),
+    },
+    data: body,
+  });
+};
+
+/**
+ * Names of the endpoints whose cameras and zones allow the output. Each one is recorded and
+ * retried as its own `webhook:<name>` notification.
+ *
+ * @param {object} output - Recognition output.
+ * @return {Array<string>} Endpoint names.
+ */
+module.exports.targets = ({ camera, zones = [] }) =>
+  endpoints()
+    .filter(([name, endpoint]) => {
+      const check = actions.checks(
+        'webhook',
+        { camera, zones },
+        objectKeysToUpperCase({ cameras: endpoint.cameras, zones: endpoint.zones })
+      );
+      if (check !== true) console.verbose(`webhook ${name}: ${check}`);
+      return check === true;
+    })
+    .map(([name]) => name);
+
+/**
+ * Sends the output to one endpoint, or to every endpoint that allows it when there's no target.
+ *
+ * @param {object} output - Recognition output.
+ * @param {object} options - Message of the notify rule and the name of the endpoint.
+ */
+module.exports.send = async (output, { target, ...options } = {}) => {
+  if (target) {
+    const endpoint = config().notify?.webhook?.[target];
+    if (!endpoint) throw new Error(`${target} endpoint not configured`);
+    await this.post(endpoint, output, options);
+    return;
+  }
+
+  const failed = [];
+  await Promise.all(
+    this.targets(output).map((name) =>
+      this.send(output, { ...options, target: name }).catch((error) => {
+        console.error(`webhook ${name} send error: ${error.message}`);
+        failed.push(`${name}: ${error.message}`);
+      })
+    )
+  );
+  if (failed.length) throw new Error(failed.join(', '));
+};
@@ -0,0 +1,127 @@
+const ENDPOINTS = {
+  home: { url: 'http://home/hook', secret: 'secret' },
+  office: { url: 'http://office/hook', method: 'PUT', cameras: ['garage'] },
+};
+
+jest.mock('axios', () => jest.fn());
+jest.mock('./actions', () => ({
+  checks: jest.fn((service, { camera }, { CAMERAS }) =>
+    !CAMERAS || CAMERAS.includes(camera) ? true : `${camera} not on approved list`
+  ),
+}));
+jest.mock('../annotate.util', () => ({ match: jest.fn(async () => Buffer.from('boxed')) }));
+jest.mock('../crop.util', () => ({
+  buffer: jest.fn(async () => ({ buffer: Buffer.from('face') })),
+}));
+jest.mock('../../constants/config', () =>
+  jest.fn(() => ({ storage: { media: { path: '/media' } }, notify: { webhook: ENDPOINTS } }))
+);
+
+const fs = require('fs');
+const axios = require('axios');
+const crop = require('../crop.util');
+const webhook = require('./webhook');
+
+const OUTPUT = { camera: 'front', matches: [{ name: 'alice', filename: 'a.jpg', box: {} }] };
+
+global.console.verbose = () => {};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+  jest.spyOn(fs, 'readFileSync').mockReturnValue(Buffer.from('full'));
+});
+
+describe('sign', () => {
+  it('should sign the body with HMAC-SHA256', () => {
+    expect(webhook.sign('secret', '{"camera":"front"}')).toBe(
+      'sha256=39902eed4f6dd39baa1db9425984260cbb98d5150a220075dcc5b543bd235540'
+    );
+  });
+});
+
+describe('image', () => {
+  it('should read the saved image, crop the face or draw the boxes', async () => {
+    expect(await webhook.image('full', OUTPUT)).toEqual(Buffer.from('full'));
+    expect(fs.readFileSync).toHaveBeenCalledWith('/media/matches/a.jpg');
+    expect(await webhook.image('face', OUTPUT)).toEqual(Buffer.from('face'));
+    expect(crop.buffer).toHaveBeenCalledWith(
+      expect.objectContaining({ source: '/media/matches/a.jpg' })
+    );
+    expect(await webhook.image('boxed', OUTPUT)).toEqual(Buffer.from('boxed'));
+  });
+
+  it('should not return an image when the output has none', async () => {
+    expect(await webhook.image('full', { matches: [], unknowns: [] })).toBe(false);
+    fs.existsSync.mockReturnValue(false);
+    expect(await webhook.image('full', OUTPUT)).toBe(false);
+  });
+});
+
+describe('request', () => {
+  it('should send the output and message as JSON', async () => {
+    const { body, headers } = await webhook.request({}, OUTPUT, { message: 'hi' });
+    expect(JSON.parse(body)).toEqual({ ...OUTPUT, message: 'hi' });
+    expect(headers).toEqual({ 'Content-Type': 'application/json' });
+  });
+
+  it('should render the body template', async () => {
+    const { body } = await webhook.request(
+      { body: '{"who": "{{ matches.0.name }}", "where": "{{ camera }}"}' },
+      OUTPUT
+    );
+    expect(body).toBe('{"who": "alice", "where": "front"}');
+  });
+
+  it('should add the image as base64', async () => {
+    const { body } = await webhook.request(
+      { body: '{{ image }}', image: { type: 'full', mode: 'base64' } },
+      OUTPUT
+    );
+    expect(body).toBe(Buffer.from('full').toString('base64'));
+  });
+
+  it('should send the body and image as multipart fields', async () => {
+    const { body, headers } = await webhook.request(
+      { image: { type: 'full', mode: 'multipart' } },
+      OUTPUT
+    );
+    const [, boundary] = headers['content-type'].match(/^multipart\/form-data; boundary=(.+)$/);
+    const parts = body.toString().split(`--${boundary}`);
+    expect(parts[1]).toContain('name="payload"');
+    expect(parts[1]).toContain(JSON.stringify(OUTPUT));
+    expect(parts[2]).toContain('name="image"; filename="image.jpg"');
+    expect(parts[2]).toContain('Content-Type: image/jpeg');
+    expect(parts[2]).toContain('full');
+  });
+});
+
+describe('post', () => {
+  it('should sign the body that is sent', async () => {
+    await webhook.post(ENDPOINTS.home, OUTPUT);
+    const [{ method, url, headers, data }] = axios.mock.calls[0];
+    expect({ method, url }).toEqual({ method: 'POST', url: 'http://home/hook' });
+    expect(headers['X-DoubleTake-Signature']).toBe(webhook.sign('secret', data));
+  });
+});
+
+describe('send', () => {
+  it('should only send to the endpoints that allow the camera', () => {
+    expect(webhook.targets(OUTPUT)).toEqual(['home']);
+    expect(webhook.targets({ ...OUTPUT, camera: 'garage' })).toEqual(['home', 'office']);
+  });
+
+  it('should send to the target endpoint only', async () => {
+    await webhook.send(OUTPUT, { target: 'office' });
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(axios.mock.calls[0][0]).toMatchObject({ method: 'PUT', url: 'http://office/hook' });
+  });
+
+  it('should fail when the target endpoint fails or is not configured', async () => {
+    axios.mockRejectedValueOnce(new Error('timeout'));
+    await expect(webhook.send(OUTPUT, { target: 'home' })).rejects.toThrow('timeout');
+    await expect(webhook.send(OUTPUT, { target: 'gone' })).rejects.toThrow(
+      'gone endpoint not configured'
+    );
+  });
+});
@@ -56,6 +56,43 @@ module.exports.load = (rootDir = '/work', localRootDir = process.cwd()) => {
   });
 };
 
+const detect = (gray) => {
+  const { cv } = global;
+  const faces = new cv.RectVector();
+  const faceCascade = new cv.CascadeClassifier();
+  faceCascade.load('./api/src/util/opencv/haarcascade_frontalface_default.xml');
+  faceCascade.detectMultiScale(
+    gray,
+    faces,
+    OPENCV.SCALE_FACTOR,
+    OPENCV.MIN_NEIGHBORS,
+    0,
+    new cv.Size(OPENCV.MIN_SIZE_WIDTH, OPENCV.MIN_SIZE_HEIGHT)
+  );
+  const output = [];
+  for (let i = 0; i < faces.size(); i++) {
+    const { x, y, width, height } = faces.get(i);
+    output.push({ top: y, left: x, width, height });
+  }
+  faceCascade.delete();
+  faces.delete();
+  return output;
+};
+
+const measure = (mat) => {
+  const { cv } = global;
+  const laplacian = new cv.Mat();
+  const mean = new cv.Mat();
+  const stddev = new cv.Mat();
+  cv.Laplacian(mat, laplacian, cv.CV_64F);
+  cv.meanStdDev(laplacian, mean, stddev);
+  const output = { sharpness: stddev.data64F[0] ** 2, brightness: cv.mean(mat)[0] };
+  laplacian.delete();
+  mean.delete();
+  stddev.delete();
+  return output;
+};
+
 module.exports.faceCount = async (path) => {
   try {
     if (!isLoaded) {
@@ -67,22 +104,9 @@ module.exports.faceCount = async (path) => {
     const src = cv.imread(image);
     const gray = new cv.Mat();
     cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
-    const faces = new cv.RectVector();
-    const faceCascade = new cv.CascadeClassifier();
-    faceCascade.load('./api/src/util/opencv/haarcascade_frontalface_default.xml');
-    faceCascade.detectMultiScale(
-      gray,
-      faces,
-      OPENCV.SCALE_FACTOR,
-      OPENCV.MIN_NEIGHBORS,
-      0,
-      new cv.Size(OPENCV.MIN_SIZE_WIDTH, OPENCV.MIN_SIZE_HEIGHT)
-    );
-    const faceCount = faces.size();
+    const faceCount = detect(gray).length;
     src.delete();
     gray.delete();
-    faceCascade.delete();
-    faces.delete();
     return faceCount;
   } catch (error) {
     console.error(`opencv error: `, error.message || error);
@@ -90,4 +114,75 @@ module.exports.faceCount = async (path) => {
   }
 };
 
+/**
+ * Finds frontal faces with the Haar cascade.
+ *
+ * @param {string} path - Image path.
+ * @return {Promise<Array<object>>} Face boxes with top, left, width and height.
+ */
+module.exports.faces = async (path) => {
+  try {
+    if (!isLoaded) {
+      console.warn('opencv not loaded yet');
+      return [];
+    }
+    const { cv } = global;
+    const image = await loadImage(path);
+    const src = cv.imread(image);
+    const gray = new cv.Mat();
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+    const faces = detect(gray);
+    src.delete();
+    gray.delete();
+    return faces;
+  } catch (error) {
+    console.error(`opencv error: `, error.message || error);
+    return [];
+  }
+};
+
+/**
+ * Measures sharpness (variance of the Laplacian) and mean brightness of an image and of each box,
+ * and finds frontal faces with the Haar cascade.
+ *
+ * @param {string} path - Image path.
+ * @param {Array<object>} boxes - Boxes with top, left, width and height.
+ * @return {Promise<object|undefined>} Image measurements, frontal faces and box measurements.
+ */
+module.exports.quality = async (path, boxes = []) => {
+  try {
+    if (!isLoaded) {
+      console.warn('opencv not loaded yet');
+      return;
+    }
+    const { cv } = global;
+    const image = await loadImage(path);
+    const src = cv.imread(image);
+    const gray = new cv.Mat();
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+
+    const regions = [...detect(gray), ...boxes].map((box) => {
+      const left = Math.min(Math.max(Math.round(box.left), 0), gray.cols - 1);
+      const top = Math.min(Math.max(Math.round(box.top), 0), gray.rows - 1);
+      const width = Math.max(Math.min(Math.round(box.width), gray.cols - left), 1);
+      const height = Math.max(Math.min(Math.round(box.height), gray.rows - top), 1);
+      const roi = gray.roi(new cv.Rect(left, top, width, height));
+      const output = { ...measure(roi), box: { top, left, width, height } };
+      roi.delete();
+      return output;
+    });
+
+    const output = {
+      ...measure(gray),
+      faces: regions.slice(0, regions.length - boxes.length),
+      boxes: regions.slice(regions.length - boxes.length),
+    };
+    src.delete();
+    gray.delete();
+    return output;
+  } catch (error) {
+    console.error(`opencv error: `, error.message || error);
+  }
+};
+
 module.exports.shouldLoad = () => OPENCV || false;
@@ -0,0 +1,60 @@
+const time = require('./time.util');
+
+// keyed by lowercase camera name since mqtt snapshot topics lowercase it
+const PAUSED = {};
+const LISTENERS = [];
+
+const changed = (camera) => LISTENERS.forEach((listener) => listener(camera, !!PAUSED[camera]));
+
+/**
+ * Pauses recognition for a camera until it's resumed or the timer runs out.
+ *
+ * @param {string} camera - Camera name.
+ * @param {number} minutes - Minutes until recognition resumes on its own, 0 pauses until resumed.
+ * @return {object} Paused cameras.
+ */
+module.exports.pause = (name, minutes = 0) => {
+  const camera = name.toLowerCase();
+  clearTimeout(PAUSED[camera]?.timeout);
+  PAUSED[camera] = {
+    since: time.utc(),
+    until: minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null,
+    timeout: minutes > 0 ? setTimeout(() => this.resume(camera), minutes * 60 * 1000) : null,
+  };
+  console.log(`recognition paused for ${camera}${minutes > 0 ? ` for ${minutes} min` : ''}`);
+  changed(camera);
+  return this.status();
+};
+
+/**
+ * Resumes recognition for a camera.
+ *
+ * @param {string} camera - Camera name.
+ * @return {object} Paused cameras.
+ */
+module.exports.resume = (name) => {
+  const camera = name.toLowerCase();
+  if (PAUSED[camera]) {
+    clearTimeout(PAUSED[camera].timeout);
+    delete PAUSED[camera];
+    console.log(`recognition resumed for ${camera}`);
+    changed(camera);
+  }
+  return this.status();
+};
+
+module.exports.paused = (camera = '') => !!PAUSED[camera.toLowerCase()];
+
+module.exports.status = () =>
+  Object.entries(PAUSED).reduce((obj, [camera, { since, until }]) => {
+    obj[camera] = { since, until };
+    return obj;
+  }, {});
+
+/**
+ * Calls a listener with the camera and whether it's paused every time a camera is paused or
+ * resumed.
+ *
+ * @param {function} listener - Listener.
+ */
+module.exports.listen = (listener) => LISTENERS.push(listener);
@@ -0,0 +1,95 @@
+const { createCanvas, loadImage } = require('canvas');
+
+const RECENT = [];
+
+/**
+ * Builds a difference hash from RGBA pixels of an image scaled to (size + 1) x size.
+ * Each bit is set when a pixel is darker than its right neighbour.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixel data.
+ * @param {number} size - Hash width and height in bits.
+ * @return {string} The hash as a hex string.
+ */
+module.exports.fromPixels = (data, size = 8) => {
+  const gray = (i) => 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  const bits = [];
+  for (let y = 0; y < size; y++)
+    for (let x = 0; x < size; x++) {
+      const i = y * (size + 1) + x;
+      bits.push(gray(i) < gray(i + 1) ? 1 : 0);
+    }
+
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4)
+    hex += parseInt(
+      bits
+        .slice(i, i + 4)
+        .join('')
+        .padEnd(4, '0'),
+      2
+    ).toString(16);
+  return hex;
+};
+
+/**
+ * Computes a perceptual difference hash (dHash) of an image.
+ *
+ * @param {Buffer|string} image - Image buffer or path.
+ * @param {number} size - Hash width and height in bits.
+ * @return {Promise<string|false>} The hash as a hex string or false if the image can't be read.
+ */
+module.exports.hash = async (image, size = 8) => {
+  try {
+    const canvas = createCanvas(size + 1, size);
+    const ctx = canvas.getContext('2d');
+    ctx.quality = 'best';
+    ctx.drawImage(await loadImage(image), 0, 0, size + 1, size);
+    return this.fromPixels(ctx.getImageData(0, 0, size + 1, size).data, size);
+  } catch (error) {
+    error.message = `perceptual hash error: ${error.message}`;
+    console.error(error);
+    return false;
+  }
+};
+
+/**
+ * Counts the bits that differ between two hashes.
+ *
+ * @param {string} a - Hex hash.
+ * @param {string} b - Hex hash.
+ * @return {number} Hamming distance, Infinity if the hashes can't be compared.
+ */
+module.exports.distance = (a, b) => {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  const bits = (hex) =>
+    [...hex].map((char) => parseInt(char, 16).toString(2).padStart(4, '0')).join('');
+  const [x, y] = [bits(a), bits(b)];
+  return [...x].filter((bit, i) => bit !== y[i]).length;
+};
+
+/**
+ * Checks a frame against frames recognized moments ago by any event and remembers it when it
+ * hasn't been seen, so the same snapshot arriving through MQTT and Frigate is only recognized
+ * once. Expired frames are pruned on every call.
+ *
+ * @param {object} frame - Frame details.
+ * @param {string} frame.hash - Hash from `hash()`.
+ * @param {string} frame.id - Event ID the frame belongs to.
+ * @param {string} frame.type - Event type the frame belongs to.
+ * @param {string} frame.camera - Only frames of this camera are compared when set.
+ * @param {number} frame.threshold - Maximum distance for frames to be considered the same.
+ * @param {number} frame.cache - Seconds a frame is remembered.
+ * @return {object|false} The earlier frame or false if the frame is new.
+ */
+module.exports.seen = ({ hash, id, type, camera, threshold, cache }) => {
+  const now = Date.now();
+  for (let i = RECENT.length - 1; i >= 0; i--) if (RECENT[i].expires <= now) RECENT.splice(i, 1);
+
+  const match = RECENT.find(
+    (frame) => (!camera || frame.camera === camera) && this.distance(frame.hash, hash) <= threshold
+  );
+  if (match) return match;
+
+  if (cache > 0) RECENT.push({ hash, id, type, camera, expires: now + cache * 1000 });
+  return false;
+};
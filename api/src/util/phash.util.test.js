@@ -0,0 +1,78 @@
+jest.mock('canvas', () => ({ createCanvas: jest.fn(), loadImage: jest.fn() }));
+
+const { fromPixels, distance, seen } = require('./phash.util');
+
+// RGBA pixels of a (size + 1) x size image from a list of gray values
+const pixels = (values) =>
+  Uint8ClampedArray.from(values.flatMap((value) => [value, value, value, 255]));
+
+describe('fromPixels', () => {
+  it('should set a bit when a pixel is darker than its right neighbour', () => {
+    const data = pixels([0, 10, 5, 20, 30, 10]);
+    expect(fromPixels(data, 2)).toBe('a');
+  });
+
+  it('should hash an image and its brighter copy the same', () => {
+    const values = [...Array(72)].map((_, i) => (i * 37) % 200);
+    expect(fromPixels(pixels(values))).toBe(fromPixels(pixels(values.map((value) => value + 50))));
+  });
+});
+
+describe('distance', () => {
+  it('should count the bits that differ', () => {
+    expect(distance('ff00', 'ff00')).toBe(0);
+    expect(distance('ff00', 'fe01')).toBe(2);
+    expect(distance('0000', 'ffff')).toBe(16);
+  });
+
+  it('should not compare missing hashes or hashes of different sizes', () => {
+    expect(distance(undefined, 'ff00')).toBe(Infinity);
+    expect(distance('ff', 'ff00')).toBe(Infinity);
+  });
+});
+
+describe('seen', () => {
+  const frame = { hash: 'ff00', camera: 'front', threshold: 2, cache: 10 };
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  it('should find a similar frame of the same event', () => {
+    expect(seen({ ...frame, id: 'a', type: 'snapshot' })).toBe(false);
+    expect(seen({ ...frame, hash: 'fe01', id: 'a', type: 'latest' })).toMatchObject({
+      id: 'a',
+      type: 'snapshot',
+    });
+  });
+
+  it('should find the same frame sent with another event id', () => {
+    expect(seen({ ...frame, hash: 'f0f0', id: 'mqtt-uuid', type: 'mqtt' })).toBe(false);
+    expect(seen({ ...frame, hash: 'f0f0', id: 'frigate-id', type: 'latest' })).toMatchObject({
+      id: 'mqtt-uuid',
+      type: 'mqtt',
+    });
+  });
+
+  it('should not find frames of other cameras', () => {
+    expect(seen({ ...frame, hash: '0ff0', id: 'b', type: 'manual' })).toBe(false);
+    expect(seen({ ...frame, hash: '0ff0', camera: 'back', id: 'c', type: 'manual' })).toBe(false);
+  });
+
+  it('should not find frames that are too different', () => {
+    expect(seen({ ...frame, hash: '00ff', id: 'd', type: 'latest' })).toBe(false);
+    expect(seen({ ...frame, hash: '0000', id: 'd', type: 'latest' })).toBe(false);
+  });
+
+  it('should forget frames once the cache expires', () => {
+    jest.advanceTimersByTime(10 * 1000);
+    expect(seen({ ...frame, id: 'e', type: 'latest' })).toBe(false);
+    jest.advanceTimersByTime(10 * 1000);
+    expect(seen({ ...frame, id: 'f', type: 'latest' })).toBe(false);
+  });
+
+  it('should not remember frames without a cache', () => {
+    const side = { ...frame, camera: 'side', cache: 0 };
+    expect(seen({ ...side, id: 'g', type: 'latest' })).toBe(false);
+    expect(seen({ ...side, id: 'g', type: 'latest' })).toBe(false);
+  });
+});
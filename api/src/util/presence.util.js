@@ -0,0 +1,186 @@
+const database = require('./db.util');
+const time = require('./time.util');
+const { PRESENCE, FRIGATE } = require('../constants')();
+
+const TIMERS = {};
+const LISTENERS = [];
+// setTimeout overflows past ~24.8 days, longer timers are scheduled again when they fire
+const MAX_DELAY = 2 ** 31 - 1;
+
+const changed = (name, state) => LISTENERS.forEach((listener) => listener(name, state));
+
+const timeout = () => PRESENCE.TIMEOUT ?? FRIGATE?.DEVICE_TRACKER_TIMEOUT ?? 30;
+
+const format = ({ zones, ...presence }) => ({ ...presence, zones: JSON.parse(zones) });
+
+/**
+ * Finds the first rule that matches a sighting. A rule matches when the camera is the same, the
+ * sighting was in one of its zones if it has any and the person is in one of its from states if it
+ * has any.
+ *
+ * @param {string} state - Current state of the person.
+ * @param {object} sighting - Camera and zones the person was seen in.
+ * @param {Array<object>} rules - Rules from presence.rules.
+ * @return {object|undefined} Rule.
+ */
+module.exports.rule = (state, { camera, zones = [] }, rules = []) =>
+  rules.find(
+    ({ CAMERA, ZONES, FROM }) =>
+      CAMERA.toLowerCase() === camera.toLowerCase() &&
+      (!ZONES?.length || ZONES.some((zone) => zones.includes(zone))) &&
+      (!FROM?.length || FROM.includes(state))
+  );
+
+/**
+ * Gets the state a sighting moves a person to and the minutes until they're away.
+ *
+ * @param {string} state - Current state of the person.
+ * @param {object} sighting - Camera and zones the person was seen in.
+ * @return {object} State and timeout.
+ */
+module.exports.transition = (state, sighting) => {
+  const rule = this.rule(state, sighting, PRESENCE.RULES);
+  return { state: rule?.STATE || PRESENCE.HOME, timeout: rule?.TIMEOUT ?? timeout() };
+};
+
+module.exports.get = (name) => {
+  const db = database.connect();
+  const [presence] = db.prepare('SELECT * FROM presence WHERE name = ?').all(name);
+  if (!presence) return false;
+  return {
+    ...format(presence),
+    sightings: db
+      .prepare(
+        'SELECT camera, zone, lastSeen FROM presence_sighting WHERE name = ? ORDER BY lastSeen DESC'
+      )
+      .all(name),
+  };
+};
+
+module.exports.status = () =>
+  database
+    .connect()
+    .prepare('SELECT name FROM presence ORDER BY name')
+    .all()
+    .map(({ name }) => this.get(name));
+
+/**
+ * Records a sighting of a person and moves them to the state of the first matching rule, or the
+ * home state when no rule matches.
+ *
+ * @param {object} sighting - Sighting.
+ * @param {string} sighting.name - Person name.
+ * @param {string} sighting.camera - Camera name.
+ * @param {Array<string>} sighting.zones - Zones the person was seen in.
+ * @return {object|false} Presence of the person.
+ */
+module.exports.seen = ({ name, camera, zones = [] }) => {
+  try {
+    const db = database.connect();
+    const now = time.utc();
+    const current = this.get(name);
+    const { state, timeout: minutes } = this.transition(current ? current.state : PRESENCE.AWAY, {
+      camera,
+      zones,
+    });
+    const expiresAt = minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null;
+
+    db.transaction(() => {
+      const sighting = db.prepare(
+        `INSERT INTO presence_sighting (name, camera, zone, lastSeen) VALUES (:name, :camera, :zone, :lastSeen)
+          ON CONFLICT (name, camera, zone) DO UPDATE SET lastSeen = :lastSeen`
+      );
+      (zones.length ? zones : ['']).forEach((zone) =>
+        sighting.run({ name, camera, zone, lastSeen: now })
+      );
+      db.prepare(
+        `INSERT INTO presence (name, state, camera, zones, lastSeen, changedAt, expiresAt)
+          VALUES (:name, :state, :camera, :zones, :lastSeen, :changedAt, :expiresAt)
+          ON CONFLICT (name) DO UPDATE SET state = :state, camera = :camera, zones = :zones, lastSeen = :lastSeen, changedAt = :changedAt, expiresAt = :expiresAt`
+      ).run({
+        name,
+        state,
+        camera,
+        zones: JSON.stringify(zones),
+        lastSeen: now,
+        changedAt: current && current.state === state ? current.changedAt : now,
+        expiresAt,
+      });
+    })();
+
+    if (current?.state !== state) console.verbose(`presence: ${name} is ${state} after ${camera}`);
+    this.schedule(name, expiresAt);
+    changed(name, state);
+    return this.get(name);
+  } catch (error) {
+    error.message = `presence error: ${error.message}`;
+    console.error(error);
+    return false;
+  }
+};
+
+module.exports.schedule = (name, expiresAt) => {
+  clearTimeout(TIMERS[name]);
+  delete TIMERS[name];
+  if (!expiresAt) return;
+  const delay = Math.min(Math.max(new Date(expiresAt).getTime() - Date.now(), 0), MAX_DELAY);
+  TIMERS[name] = setTimeout(() => this.expire(name), delay);
+};
+
+/**
+ * Moves a person to the away state once their timeout has passed.
+ *
+ * @param {string} name - Person name.
+ */
+module.exports.expire = (name) => {
+  try {
+    const presence = this.get(name);
+    if (!presence?.expiresAt) return;
+    if (new Date(presence.expiresAt).getTime() > Date.now()) {
+      this.schedule(name, presence.expiresAt);
+      return;
+    }
+
+    delete TIMERS[name];
+    database
+      .connect()
+      .prepare('UPDATE presence SET state = ?, changedAt = ?, expiresAt = NULL WHERE name = ?')
+      .run(PRESENCE.AWAY, time.utc(), name);
+    console.verbose(`presence: ${name} is ${PRESENCE.AWAY}`);
+    changed(name, PRESENCE.AWAY);
+  } catch (error) {
+    error.message = `presence expire error: ${error.message}`;
+    console.error(error);
+  }
+};
+
+/**
+ * Schedules the timeouts that were running before a restart, people whose timeout passed while
+ * Double Take was down are moved to the away state right away.
+ */
+module.exports.init = () => {
+  try {
+    database
+      .connect()
+      .prepare('SELECT name, expiresAt FROM presence WHERE expiresAt IS NOT NULL')
+      .all()
+      .forEach(({ name, expiresAt }) => this.schedule(name, expiresAt));
+  } catch (error) {
+    error.message = `presence init error: ${error.message}`;
+    console.error(error);
+  }
+};
+
+module.exports.remove = (name) => {
+  this.schedule(name, null);
+  const db = database.connect();
+  db.prepare('DELETE FROM presence WHERE name = ?').run(name);
+  db.prepare('DELETE FROM presence_sighting WHERE name = ?').run(name);
+};
+
+/**
+ * Calls a listener with the name and state every time a person is seen or their state changes.
+ *
+ * @param {function} listener - Listener.
+ */
+module.exports.listen = (listener) => LISTENERS.push(listener);
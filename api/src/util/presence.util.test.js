@@ -0,0 +1,29 @@
+const { rule } = require('./presence.util');
+
+const RULES = [
+  { CAMERA: 'driveway', ZONES: ['street'], FROM: ['home'], STATE: 'not_home', TIMEOUT: 0 },
+  { CAMERA: 'driveway', STATE: 'home' },
+  { CAMERA: 'garden', STATE: 'garden' },
+];
+
+describe('rule', () => {
+  it('should treat a sighting at the street from home as leaving', () => {
+    expect(rule('home', { camera: 'driveway', zones: ['street'] }, RULES)).toBe(RULES[0]);
+  });
+
+  it('should treat the same sighting while away as arriving', () => {
+    expect(rule('not_home', { camera: 'driveway', zones: ['street'] }, RULES)).toBe(RULES[1]);
+  });
+
+  it('should require one of the rule zones', () => {
+    expect(rule('home', { camera: 'driveway', zones: ['porch'] }, RULES)).toBe(RULES[1]);
+  });
+
+  it('should match cameras regardless of case', () => {
+    expect(rule('home', { camera: 'Garden' }, RULES)).toBe(RULES[2]);
+  });
+
+  it('should return nothing when no rule matches', () => {
+    expect(rule('home', { camera: 'front' }, RULES)).toBeUndefined();
+  });
+});
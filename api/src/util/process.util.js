@@ -5,27 +5,33 @@ const { v4: uuidv4 } = require('uuid');
 const filesystem = require('./fs.util');
 const database = require('./db.util');
 const { parse, digest } = require('./auth.util');
-const frigateAuth = require('./frigate-auth.util');
+const frigate = require('./frigate.util');
 const mask = require('./mask-image.util');
 const sleep = require('./sleep.util');
 const opencv = require('./opencv');
+const fusion = require('./fusion.util');
+const chain = require('./chain.util');
+const phash = require('./phash.util');
+const quality = require('./quality.util');
+const crop = require('./crop.util');
+const breaker = require('./circuit-breaker.util');
 const { recognize, normalize } = require('./detectors/actions');
 const { SERVER, STORAGE, UI } = require('../constants')();
-const DETECTORS = require('../constants/config').detectors();
 const config = require('../constants/config');
 
 module.exports.polling = async (
   event,
-  { retries, id, type, url, breakMatch, MATCH_IDS, delay }
+  { retries, id, type, url, breakMatch, MATCH_IDS, delay, roi }
 ) => {
   event.type = type;
   breakMatch = !!(breakMatch === 'true' || breakMatch === true);
-  const { MATCH, UNKNOWN } = config.detect(event.camera);
+  const { MATCH, UNKNOWN, DEDUPE } = config.detect(event.camera);
   const { frigateEventType } = event;
   const allResults = [];
   const errors = {};
   let attempts = 0;
   let previousContentLength;
+  let previousHash;
   perf.start(type);
 
   if (await this.isValidURL({ type, url })) {
@@ -33,8 +39,30 @@ module.exports.polling = async (
       if (breakMatch === true && MATCH_IDS.includes(id)) break;
 
       const stream = await this.stream(url);
-      const streamChanged = stream && previousContentLength !== stream.length;
-      if (streamChanged) {
+      const hash = stream && DEDUPE.ENABLED ? await phash.hash(stream, DEDUPE.SIZE) : false;
+      // fall back to comparing the content length if the frame can't be hashed
+      const streamChanged =
+        stream &&
+        (hash
+          ? phash.distance(previousHash, hash) > DEDUPE.THRESHOLD
+          : previousContentLength !== stream.length);
+      const duplicate =
+        streamChanged &&
+        hash &&
+        phash.seen({
+          hash,
+          id,
+          type,
+          camera: event.camera,
+          threshold: DEDUPE.THRESHOLD,
+          cache: DEDUPE.CACHE,
+        });
+      if (duplicate) {
+        previousHash = hash;
+        console.verbose(
+          `skipping ${type} image for ${id}: already recognized from ${duplicate.type} ${duplicate.id}`
+        );
+      } else if (streamChanged) {
         const tmp = {
           source: `${STORAGE.TMP.PATH}/${id}-${type}-${uuidv4()}.jpg`,
           mask: false,
@@ -43,6 +71,7 @@ module.exports.polling = async (
 
         attempts = i + 1;
         previousContentLength = stream.length;
+        previousHash = hash;
         filesystem.writer(tmp.source, stream);
 
         const maskBuffer = await mask.buffer(event, tmp.source);
@@ -53,17 +82,37 @@ module.exports.polling = async (
           filesystem.writer(tmp.mask, buffer);
         }
 
-        const results = await this.start({
-          camera: event.camera,
-          filename,
-          tmp: tmp.mask || tmp.source,
-          attempts,
-          errors,
-        });
+        const region = roi
+          ? await this.region({ roi, source: tmp.mask || tmp.source, id, type })
+          : false;
+        const image = region ? region.path : tmp.mask || tmp.source;
 
-        const foundMatch = !!results.flatMap((obj) => obj.results.filter((item) => item.match))
+        const frame = await quality.frame({ camera: event.camera, tmp: image });
+        if (frame.blurry)
+          console.verbose(`skipping blurry ${type} image for ${id}: sharpness ${frame.sharpness}`);
+        const results = frame.blurry
+          ? []
+          : await this.start({
+              camera: event.camera,
+              filename,
+              tmp: image,
+              source: url,
+              attempts,
+              errors,
+            });
+
+        // boxes found in the region are moved back so they line up with the saved full frame
+        if (region) {
+          results.forEach((result) => {
+            result.results = crop.offset(result.results, region.region);
+          });
+          filesystem.delete(region.path);
+        }
+
+        const decisive = fusion.resolve(results);
+        const foundMatch = !!decisive.flatMap((obj) => obj.results.filter((item) => item.match))
           .length;
-        const totalFaces = results.flatMap((obj) => obj.results.filter((item) => item)).length > 0;
+        const totalFaces = decisive.flatMap((obj) => obj.results.filter((item) => item)).length > 0;
 
         if (foundMatch || (UNKNOWN.SAVE && totalFaces)) {
           await this.save(event, results, filename, maskBuffer?.visible ? tmp.mask : tmp.source);
@@ -91,7 +140,7 @@ module.exports.polling = async (
 
       /* if the image hasn't changed or the user has a delay set, sleep before trying to find another image
       to increase the changes it changed */
-      if ((frigateEventType && delay > 0) || !streamChanged)
+      if ((frigateEventType && delay > 0) || !streamChanged || duplicate)
         await sleep(frigateEventType && delay > 0 ? delay : i * 0.5);
     }
   }
@@ -106,6 +155,35 @@ module.exports.polling = async (
   };
 };
 
+/**
+ * Crops a frame to the region of interest from a Frigate event.
+ *
+ * @param {object} options - Options.
+ * @param {object} options.roi - Region from frigate.roi().
+ * @param {string} options.source - Full frame path.
+ * @param {string} options.id - Event ID.
+ * @param {string} options.type - Image type.
+ * @return {Promise<object|false>} Path of the cropped image and the region it covers.
+ */
+module.exports.region = async ({ roi, source, id, type }) => {
+  const destination = `${STORAGE.TMP.PATH}/${id}-${type}-${uuidv4()}-roi.jpg`;
+  try {
+    const region = await crop.write({
+      source,
+      destination,
+      box: roi.box,
+      padding: roi.margin,
+      from: roi.detect,
+    });
+    return { path: destination, region };
+  } catch (error) {
+    error.message = `region crop error: ${error.message}`;
+    console.error(error);
+    filesystem.delete(destination);
+    return false;
+  }
+};
+
 /**
  * Saves the results of an event to a file and creates a match in the database.
  *
@@ -136,31 +214,90 @@ module.exports.save = async (event, results, filename, tmp) => {
   }
 };
 
-module.exports.start = async ({ camera, filename, tmp, attempts = 1, errors = {} }) => {
-  const processed = [];
-  const promises = [];
+module.exports.start = async ({ camera, filename, tmp, source, attempts = 1, errors = {} }) => {
+  const results = [];
 
   if (opencv.shouldLoad()) await opencv.load();
 
-  for (const detector of DETECTORS) {
+  const stages = chain.stages(camera);
+  for (let i = 0; i < stages.length; i++) {
+    const stage = await this.stage({
+      camera,
+      detectors: stages[i],
+      filename,
+      tmp,
+      source,
+      attempts,
+      errors,
+    });
+    results.push(...stage);
+
+    const resolved = i === stages.length - 1 || !chain.fallback(camera, stage);
+    chain.track({ camera, stage: i, detectors: stages[i], resolved });
+    if (resolved) break;
+    console.verbose(`asking next detector stage for ${camera}: ${stages[i + 1].join(', ')}`);
+  }
+
+  const fused = fusion.fuse({ camera, results });
+  if (fused)
+    results.push({
+      detector: fusion.DETECTOR,
+      duration: Math.max(0, ...results.map(({ duration }) => duration)),
+      attempt: attempts,
+      results: fused,
+      filename,
+    });
+
+  await quality.results({ camera, tmp, results });
+
+  return results;
+};
+
+module.exports.stage = async ({ camera, detectors, filename, tmp, source, attempts, errors }) => {
+  const processed = [];
+  const promises = [];
+  let faces;
+
+  for (const detector of detectors) {
     if (!errors[detector]) errors[detector] = 0;
 
     const detectorConfig = config()?.detectors?.[detector];
     const cameraAllowed =
       (detectorConfig?.cameras || [camera]).includes(camera) || !detectorConfig?.cameras.length;
     const faceCountRequired = detectorConfig?.opencv_face_required;
+    const faceCrop = detectorConfig?.opencv_face_crop;
 
     if (cameraAllowed) {
-      const faceCount = faceCountRequired ? await opencv.faceCount(tmp) : null;
-      if ((faceCountRequired && faceCount > 0) || !faceCountRequired) {
-        promises.push(this.process({ camera, detector, tmp, errors }));
+      const noFaces = faceCountRequired && !((await opencv.faceCount(tmp)) > 0);
+      // faces are found once per stage and shared by every detector that crops them
+      if (!noFaces && faceCrop?.enabled && !faces) faces = await opencv.faces(tmp);
+
+      if (noFaces) console.verbose(`processing skipped for ${detector}: no faces found`);
+      // checked last so a half-open circuit only lets its probe through when a request is sent
+      else if (!breaker.allow(detector))
+        console.verbose(`processing skipped for ${detector}: circuit breaker open`);
+      else {
+        const request =
+          faceCrop?.enabled && faces.length
+            ? this.crops({
+                camera,
+                detector,
+                tmp,
+                source,
+                errors,
+                faces,
+                padding: faceCrop.padding,
+              })
+            : this.process({ camera, detector, tmp, source, errors });
+        // a probe that never reached the detector, like a failed crop, is released
+        promises.push(request.finally(() => breaker.release(detector)));
         processed.push(detector);
-      } else console.verbose(`processing skipped for ${detector}: no faces found`);
+      }
     } else console.verbose(`processing skipped for ${detector}: ${camera} not allowed`);
   }
-  let results = await Promise.all(promises);
+  const results = await Promise.all(promises);
 
-  results = results.map((array, j) => {
+  return results.map((array, j) => {
     return {
       detector: processed[j],
       duration: array ? array.duration : 0,
@@ -169,18 +306,19 @@ module.exports.start = async ({ camera, filename, tmp, attempts = 1, errors = {}
       filename,
     };
   });
-
-  return results;
 };
 
-module.exports.process = async ({ camera, detector, tmp, errors }) => {
+module.exports.process = async ({ camera, detector, tmp, source, errors }) => {
   try {
     perf.start(detector);
-    const { data } = await recognize({ detector, key: tmp });
+    const { data } = await recognize({ detector, key: tmp, source });
     const duration = parseFloat((perf.stop(detector).time / 1000).toFixed(2));
     errors[detector] = 0;
-    return { duration, results: normalize({ camera, detector, data }) };
+    const results = normalize({ camera, detector, data });
+    breaker.success(detector, duration);
+    return { duration, results };
   } catch (error) {
+    breaker.failure(detector, error);
     error.message = `${detector} process error: ${error.message}`;
     if (error.code === 'ECONNABORTED') delete error.stack;
     console.error(error);
@@ -193,42 +331,76 @@ module.exports.process = async ({ camera, detector, tmp, errors }) => {
   }
 };
 
+/**
+ * Sends each face as a separate cropped image to a detector and maps the boxes it returns back
+ * into full image coordinates.
+ *
+ * @param {object} options - Options.
+ * @param {string} options.camera - Camera name.
+ * @param {string} options.detector - Detector name.
+ * @param {string} options.tmp - Full image path.
+ * @param {string} options.source - URL or file the image came from.
+ * @param {object} options.errors - Error counts per detector.
+ * @param {Array<object>} options.faces - Face boxes to crop.
+ * @param {number} options.padding - Fraction of the face size added to each side of the crop.
+ * @return {Promise<object|undefined>} Combined duration and results like `process()`.
+ */
+module.exports.crops = async ({ camera, detector, tmp, source, errors, faces, padding }) => {
+  const output = await Promise.all(
+    faces.map(async (box) => {
+      const destination = `${STORAGE.TMP.PATH}/${uuidv4()}.jpg`;
+      try {
+        const region = await crop.write({ source: tmp, destination, box, padding });
+        const result = await this.process({ camera, detector, tmp: destination, source, errors });
+        if (!result) return;
+        return { duration: result.duration, results: crop.offset(result.results, region) };
+      } catch (error) {
+        error.message = `${detector} crop error: ${error.message}`;
+        console.error(error);
+      } finally {
+        filesystem.delete(destination);
+      }
+    })
+  );
+  const processed = output.filter((result) => result);
+  if (!processed.length) return undefined;
+  return {
+    duration: Math.max(...processed.map(({ duration }) => duration)),
+    results: processed.flatMap(({ results }) => results),
+  };
+};
+
 module.exports.isValidURL = async ({ auth = false, type, url }) => {
   const validOptions = ['image/jpg', 'image/jpeg', 'image/png'];
   try {
     // Check if this is a Frigate URL that needs authentication
-    const frigateConfig = config()?.frigate;
-    const isFrigateURL = frigateConfig?.url && url.includes(frigateConfig.url);
-    const hasFrigateAuth = frigateConfig?.username && frigateConfig?.password;
-    
-    if (isFrigateURL && hasFrigateAuth) {
-      // Use Frigate authentication
-      const baseURL = frigateConfig.url;
-      const username = frigateConfig.username;
-      const password = frigateConfig.password;
-      
+    const instance = frigate.instanceByURL(url);
+
+    if (instance?.USERNAME && instance?.PASSWORD) {
+      // Use the auth session of the Frigate instance
       try {
-        const { headers } = await frigateAuth.authenticatedRequest({
+        const { headers } = await frigate.request(instance, {
           method: 'GET',
           url,
           timeout: 5000,
-        }, baseURL, username, password);
-        
-        const isValid = !!validOptions.filter((opt) => headers['content-type'].includes(opt)).length;
-        
+        });
+
+        const isValid = !!validOptions.filter((opt) => headers['content-type'].includes(opt))
+          .length;
+
         if (!isValid) {
           console.error(
             `url validation failed for ${type}: ${url} - ${headers['content-type']} not valid`
           );
         }
-        
+
         return isValid;
       } catch (frigateError) {
         console.error(`Frigate authentication error: ${frigateError.message}`);
         return false;
       }
     }
-    
+
     // Fall back to existing digest authentication logic
     const isDigest = digest.exists(url) || auth === 'digest';
     const digestAuth = isDigest ? digest(parse.url(url)) : false;
@@ -258,31 +430,25 @@ module.exports.isValidURL = async ({ auth = false, type, url }) => {
 module.exports.stream = async (url) => {
   try {
     // Check if this is a Frigate URL that needs authentication
-    const frigateConfig = config()?.frigate;
-    const isFrigateURL = frigateConfig?.url && url.includes(frigateConfig.url);
-    const hasFrigateAuth = frigateConfig?.username && frigateConfig?.password;
-    
-    if (isFrigateURL && hasFrigateAuth) {
-      // Use Frigate authentication
-      const baseURL = frigateConfig.url;
-      const username = frigateConfig.username;
-      const password = frigateConfig.password;
-      
+    const instance = frigate.instanceByURL(url);
+
+    if (instance?.USERNAME && instance?.PASSWORD) {
+      // Use the auth session of the Frigate instance
       try {
-        const response = await frigateAuth.authenticatedRequest({
+        const response = await frigate.request(instance, {
           method: 'GET',
           url,
           responseType: 'arraybuffer',
           timeout: 5000,
-        }, baseURL, username, password);
-        
+        });
+
         return response.data;
       } catch (frigateError) {
         console.error(`Frigate authentication error: ${frigateError.message}`);
         return null;
       }
     }
-    
+
     // Fall back to existing digest authentication logic
     const isDigest = digest.exists(url);
     const digestAuth = isDigest ? digest(isDigest) : false;
@@ -0,0 +1,94 @@
+const opencv = require('./opencv');
+const config = require('../constants/config');
+
+// sharpness at which a face gets the full sharpness score and the area used when min_area is 0
+const { SHARPNESS, AREA } = { SHARPNESS: 300, AREA: 10000 };
+const WEIGHTS = { sharpness: 0.4, size: 0.2, brightness: 0.2, frontal: 0.2 };
+
+const ready = async () => {
+  if (!opencv.shouldLoad()) return false;
+  await opencv.load();
+  return true;
+};
+
+const overlap = (a, b) => {
+  const width = Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left);
+  const height = Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top);
+  if (width <= 0 || height <= 0) return 0;
+  return (width * height) / Math.min(a.width * a.height, b.width * b.height);
+};
+
+/**
+ * Scores a face from 0 to 100 using sharpness, box size relative to min_area, brightness and
+ * how much it overlaps a frontal face found by the Haar cascade.
+ *
+ * @param {object} measurement - Sharpness and brightness of the face box.
+ * @param {object} box - Face box.
+ * @param {Array<object>} faces - Frontal faces found in the image.
+ * @param {number} minArea - Minimum area for a match.
+ * @return {number} The quality score.
+ */
+module.exports.score = ({ sharpness, brightness }, box, faces = [], minArea = 0) => {
+  const scores = {
+    sharpness: Math.min(sharpness / SHARPNESS, 1),
+    size: Math.min((box.width * box.height) / (minArea || AREA), 1),
+    brightness: 1 - Math.min(Math.abs(brightness - 128) / 128, 1),
+    frontal: Math.max(0, ...faces.map((face) => overlap(face.box, box))),
+  };
+  const total = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * scores[key], 0);
+  return parseFloat((total * 100).toFixed(2));
+};
+
+/**
+ * Checks a frame before it is sent to detectors. Frontal faces are measured when the Haar cascade
+ * finds any, otherwise the whole frame is.
+ *
+ * @param {object} frame - Frame details.
+ * @param {string} frame.camera - Camera name.
+ * @param {string} frame.tmp - Image path.
+ * @return {Promise<object|false>} Sharpness of the frame and whether it's too blurry.
+ */
+module.exports.frame = async ({ camera, tmp }) => {
+  const { QUALITY } = config.detect(camera);
+  if (!QUALITY.ENABLED || !QUALITY.MIN_SHARPNESS || !(await ready())) return false;
+  const measurement = await opencv.quality(tmp);
+  if (!measurement) return false;
+  const sharpness = measurement.faces.length
+    ? Math.max(...measurement.faces.map((face) => face.sharpness))
+    : measurement.sharpness;
+  return { sharpness: parseFloat(sharpness.toFixed(2)), blurry: sharpness < QUALITY.MIN_SHARPNESS };
+};
+
+/**
+ * Adds a quality score to every face in the detector results.
+ *
+ * @param {object} options - Options.
+ * @param {string} options.camera - Camera name.
+ * @param {string} options.tmp - Image path the detectors processed.
+ * @param {Array<object>} options.results - Detector results from process.util.start.
+ */
+module.exports.results = async ({ camera, tmp, results }) => {
+  const { QUALITY, MATCH } = config.detect(camera);
+  const faces = results.flatMap((result) => result.results);
+  if (!QUALITY.ENABLED || !faces.length || !(await ready())) return;
+  const measurement = await opencv.quality(
+    tmp,
+    faces.map(({ box }) => box)
+  );
+  if (!measurement) return;
+  faces.forEach((face, i) => {
+    face.quality = this.score(measurement.boxes[i], face.box, measurement.faces, MATCH.MIN_AREA);
+  });
+};
+
+/**
+ * Compares two results with the configured tie-breaker, falling back to confidence.
+ *
+ * @param {object} a - Result.
+ * @param {object} b - Result.
+ * @param {string} tieBreaker - Either confidence or quality.
+ * @return {number} Greater than 0 if a is better than b.
+ */
+module.exports.compare = (a, b, tieBreaker = 'confidence') =>
+  (tieBreaker === 'quality' ? (a.quality ?? -1) - (b.quality ?? -1) : 0) ||
+  a.confidence - b.confidence;
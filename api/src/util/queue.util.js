@@ -0,0 +1,156 @@
+const { v4: uuidv4 } = require('uuid');
+const time = require('./time.util');
+const config = require('../constants/config');
+
+const PRIORITIES = {
+  manual: 4,
+  'mqtt-command': 4,
+  'camera-event': 3,
+  new: 3,
+  update: 2,
+  mqtt: 1,
+  backfill: 0,
+};
+const PENDING = [];
+const RUNNING = [];
+const STATS = { processed: 0, failed: 0, coalesced: 0, dropped: 0 };
+let SEQUENCE = 0;
+
+const settings = () => config()?.queue || {};
+
+/**
+ * Maps an event to its queue priority: manual and mqtt command > frigate new > frigate update >
+ * mqtt snapshot > backfill.
+ *
+ * @param {object} event - Recognize event with type and frigateEventType.
+ * @return {number} Higher numbers run first.
+ */
+module.exports.priority = ({ type, frigateEventType }) =>
+  PRIORITIES[type === 'frigate' ? frigateEventType : type] ?? PRIORITIES.mqtt;
+
+const serialize = ({ id, event, camera, type, priority, queuedAt, startedAt }) => ({
+  id,
+  event,
+  camera,
+  type,
+  priority,
+  queuedAt,
+  startedAt,
+});
+
+const drop = () => {
+  const { max_pending: maxPending } = settings();
+  while (maxPending > 0 && PENDING.length > maxPending) {
+    // oldest job of the lowest priority goes first
+    const job = PENDING.reduce((oldest, item) =>
+      item.priority < oldest.priority ||
+      (item.priority === oldest.priority && item.sequence < oldest.sequence)
+        ? item
+        : oldest
+    );
+    PENDING.splice(PENDING.indexOf(job), 1);
+    STATS.dropped += 1;
+    console.warn(`queue: dropped ${job.camera}: ${job.event} (${PENDING.length} pending)`);
+    const error = new Error(`${job.event} dropped from queue under load`);
+    error.code = 'QUEUE_DROPPED';
+    job.reject(error);
+  }
+};
+
+const next = () => {
+  const { concurrency, per_camera: perCamera } = settings();
+  const runnable = PENDING.filter(
+    ({ camera }) => !perCamera || RUNNING.filter((job) => job.camera === camera).length < perCamera
+  ).sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+  if (!runnable.length || (concurrency && RUNNING.length >= concurrency)) return;
+
+  const [job] = runnable;
+  PENDING.splice(PENDING.indexOf(job), 1);
+  RUNNING.push(job);
+  job.startedAt = time.utc();
+
+  job
+    .run()
+    .then((output) => {
+      STATS.processed += 1;
+      job.resolve(output);
+    })
+    .catch((error) => {
+      STATS.failed += 1;
+      job.reject(error);
+    })
+    .finally(() => {
+      RUNNING.splice(RUNNING.indexOf(job), 1);
+      next();
+    });
+
+  next();
+};
+
+/**
+ * Queues a recognition job. Jobs for an event that is already pending or running are coalesced
+ * and share the result of the first job.
+ *
+ * @param {object} job - Job options.
+ * @param {string} job.event - Event ID used to coalesce duplicates.
+ * @param {string} job.camera - Camera name used for the per camera concurrency limit.
+ * @param {string} job.type - Event type shown in the queue status.
+ * @param {number} job.priority - Priority from `priority()`.
+ * @param {Function} job.run - Async function that processes the event.
+ * @return {Promise} Resolves with the output of `run`.
+ */
+module.exports.add = ({ event, camera, type, priority, run }) => {
+  const duplicate = [...RUNNING, ...PENDING].find((job) => job.event === event);
+  if (duplicate) {
+    STATS.coalesced += 1;
+    if (PENDING.includes(duplicate) && priority > duplicate.priority) duplicate.priority = priority;
+    console.verbose(`queue: ${event} already queued, waiting on existing job`);
+    return duplicate.promise;
+  }
+
+  const job = {
+    id: uuidv4(),
+    event,
+    camera,
+    type,
+    priority,
+    run,
+    sequence: (SEQUENCE += 1),
+    queuedAt: time.utc(),
+    startedAt: null,
+  };
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  PENDING.push(job);
+
+  drop();
+  next();
+  return job.promise;
+};
+
+/**
+ * Waits for every pending or running job of an event, failed jobs included.
+ *
+ * @param {string} event - Event ID.
+ * @return {Promise<Array<object>>} Settled results of the jobs.
+ */
+module.exports.settled = (event) =>
+  Promise.allSettled(
+    [...RUNNING, ...PENDING].filter((job) => job.event === event).map(({ promise }) => promise)
+  );
+
+module.exports.status = () => {
+  const { concurrency, per_camera: perCamera, max_pending: maxPending } = settings();
+  return {
+    concurrency,
+    perCamera,
+    maxPending,
+    running: RUNNING.map(serialize),
+    pending: [...PENDING]
+      .sort((a, b) => b.priority - a.priority || a.sequence - b.sequence)
+      .map(serialize),
+    stats: STATS,
+  };
+};
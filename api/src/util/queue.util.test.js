@@ -0,0 +1,135 @@
+const SETTINGS = { concurrency: 1, per_camera: 0, max_pending: 0 };
+
+jest.mock('./time.util', () => ({ utc: () => '2026-01-01T00:00:00.000Z' }));
+jest.mock('../constants/config', () => jest.fn(() => ({ queue: SETTINGS })));
+
+let queue;
+
+// job that runs until it's released
+const deferred = () => {
+  let release;
+  const promise = new Promise((resolve) => {
+    release = resolve;
+  });
+  return { promise, release };
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeAll(() => {
+  global.console.verbose = () => {};
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  Object.assign(SETTINGS, { concurrency: 1, per_camera: 0, max_pending: 0 });
+  jest.isolateModules(() => {
+    queue = require('./queue.util');
+  });
+});
+
+describe('priority', () => {
+  it('should rank manual requests first and backfills last', () => {
+    expect(queue.priority({ type: 'manual' })).toBe(4);
+    expect(queue.priority({ type: 'frigate', frigateEventType: 'new' })).toBe(3);
+    expect(queue.priority({ type: 'frigate', frigateEventType: 'update' })).toBe(2);
+    expect(queue.priority({ type: 'mqtt' })).toBe(1);
+    expect(queue.priority({ type: 'backfill' })).toBe(0);
+    expect(queue.priority({ type: 'other' })).toBe(1);
+  });
+});
+
+describe('add', () => {
+  it('should run pending jobs by priority, oldest first', async () => {
+    const blocker = deferred();
+    const order = [];
+    const add = (event, priority) =>
+      queue.add({
+        event,
+        camera: 'front',
+        type: 'test',
+        priority,
+        run: async () => order.push(event),
+      });
+
+    const running = queue.add({ event: 'blocker', priority: 4, run: () => blocker.promise });
+    const jobs = [add('mqtt', 1), add('update', 2), add('new-1', 3), add('new-2', 3)];
+    expect(queue.status().pending.map(({ event }) => event)).toEqual([
+      'new-1',
+      'new-2',
+      'update',
+      'mqtt',
+    ]);
+
+    blocker.release();
+    await Promise.all([running, ...jobs]);
+    expect(order).toEqual(['new-1', 'new-2', 'update', 'mqtt']);
+    expect(queue.status().stats.processed).toBe(5);
+  });
+
+  it('should share the result of a job that is already queued for the event', async () => {
+    const run = jest.fn(async () => 'output');
+    const first = queue.add({ event: 'a', priority: 1, run });
+    const second = queue.add({ event: 'a', priority: 3, run });
+    expect(await Promise.all([first, second])).toEqual(['output', 'output']);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(queue.status().stats.coalesced).toBe(1);
+  });
+
+  it('should drop the oldest job of the lowest priority when too many are pending', async () => {
+    SETTINGS.max_pending = 2;
+    const blocker = deferred();
+    const run = async () => 'output';
+
+    const running = queue.add({ event: 'blocker', priority: 4, run: () => blocker.promise });
+    const old = queue.add({ event: 'old', priority: 1, run });
+    const urgent = queue.add({ event: 'urgent', priority: 3, run });
+    const recent = queue.add({ event: 'recent', priority: 1, run });
+
+    await expect(old).rejects.toMatchObject({ code: 'QUEUE_DROPPED' });
+    expect(queue.status().pending.map(({ event }) => event)).toEqual(['urgent', 'recent']);
+    expect(queue.status().stats.dropped).toBe(1);
+
+    blocker.release();
+    expect(await Promise.all([running, urgent, recent])).toEqual([undefined, 'output', 'output']);
+  });
+
+  it('should limit the jobs running per camera', async () => {
+    Object.assign(SETTINGS, { concurrency: 0, per_camera: 1 });
+    const blocker = deferred();
+
+    queue.add({ event: 'front-1', camera: 'front', priority: 1, run: () => blocker.promise });
+    queue.add({ event: 'front-2', camera: 'front', priority: 1, run: () => blocker.promise });
+    queue.add({ event: 'back-1', camera: 'back', priority: 1, run: () => blocker.promise });
+
+    const { running, pending } = queue.status();
+    expect(running.map(({ event }) => event)).toEqual(['front-1', 'back-1']);
+    expect(pending.map(({ event }) => event)).toEqual(['front-2']);
+
+    blocker.release();
+    await flush();
+  });
+});
+
+describe('settled', () => {
+  it('should wait for every job of the event, failed ones included', async () => {
+    const blocker = deferred();
+    const failed = queue.add({
+      event: 'a',
+      priority: 1,
+      run: async () => {
+        await blocker.promise;
+        throw new Error('detector down');
+      },
+    });
+    failed.catch(() => {});
+
+    const settled = queue.settled('a');
+    blocker.release();
+    expect(await settled).toEqual([
+      { status: 'rejected', reason: expect.objectContaining({ message: 'detector down' }) },
+    ]);
+    expect(queue.status().stats.failed).toBe(1);
+    expect(await queue.settled('a')).toEqual([]);
+  });
+});
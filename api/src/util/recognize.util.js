@@ -1,5 +1,8 @@
 const fs = require('fs');
+const fusion = require('./fusion.util');
+const quality = require('./quality.util');
 const { STORAGE } = require('../constants')();
+const config = require('../constants/config');
 
 module.exports.save = {
   latest: (camera, best = [], misses = [], unknown = {}) => {
@@ -37,7 +40,8 @@ module.exports.save = {
   },
 };
 
-module.exports.normalize = (results = []) => {
+module.exports.normalize = (results = [], { camera } = {}) => {
+  const { TIE_BREAKER } = config.detect(camera).QUALITY;
   const best = { matches: [], misses: [] };
   const tmp = { matches: {}, misses: {}, counts: {} };
   const unknowns = [];
@@ -45,7 +49,7 @@ module.exports.normalize = (results = []) => {
   let attempts = 0;
   results.forEach((group) => {
     attempts += group.attempts;
-    group.results.forEach((attempt) => {
+    fusion.resolve(group.results).forEach((attempt) => {
       const face = tmp.counts[attempt.detector];
       if (face)
         tmp.counts[attempt.detector] = {
@@ -71,7 +75,7 @@ module.exports.normalize = (results = []) => {
       matches.forEach((match) => {
         if (
           tmp.matches[match.name] === undefined ||
-          tmp.matches[match.name].confidence < match.confidence
+          quality.compare(match, tmp.matches[match.name], TIE_BREAKER) > 0
         ) {
           tmp.matches[match.name] = {
             ...match,
@@ -87,7 +91,7 @@ module.exports.normalize = (results = []) => {
       misses.forEach((miss) => {
         if (
           tmp.misses[miss.name] === undefined ||
-          tmp.misses[miss.name].confidence < miss.confidence
+          quality.compare(miss, tmp.misses[miss.name], TIE_BREAKER) > 0
         ) {
           tmp.misses[miss.name] = {
             ...miss,
@@ -121,7 +125,7 @@ module.exports.normalize = (results = []) => {
     misses: best.misses,
     results,
     attempts,
-    unknowns: unknowns.sort((a, b) => b.confidence - a.confidence),
+    unknowns: unknowns.sort((a, b) => quality.compare(b, a, TIE_BREAKER)),
     counts,
   };
 };
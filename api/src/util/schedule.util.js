@@ -26,4 +26,21 @@ module.exports = {
     });
     return checks;
   },
+  // days and times like schedule.disable, without days every day matches and without times the
+  // whole day matches, ranges that end before they start span midnight
+  within: (
+    { days = [], times = [] },
+    date = DateTime.now().setZone(TIME.TIMEZONE.toUpperCase())
+  ) => {
+    if (days.length && !days.includes(date.weekdayLong.toLowerCase())) return false;
+    if (!times.length) return true;
+    const minutes = date.hour * 60 + date.minute;
+    return times.some((time) => {
+      const [start, end] = time.split('-').map((value) => {
+        const [hour, minute = 0] = value.split(':').map(Number);
+        return hour * 60 + minute;
+      });
+      return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    });
+  },
 };
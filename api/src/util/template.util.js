@@ -0,0 +1,21 @@
+/**
+ * Replaces `{{ path.to.value }}` placeholders with values from the context.
+ * Missing values render as an empty string.
+ *
+ * @param {string} template - Template string.
+ * @param {object} context - Values available to the template.
+ * @param {object} options - Options.
+ * @param {boolean} options.json - Escape strings so they can be placed between quotes in JSON.
+ * @return {string} The rendered string.
+ */
+module.exports.render = (template, context = {}, { json = false } = {}) => {
+  if (typeof template !== 'string') return template;
+  return template.replace(/{{\s*([\w.-]+)\s*}}/g, (placeholder, path) => {
+    const value = path
+      .split('.')
+      .reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+    if (value == null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return json && typeof value === 'string' ? JSON.stringify(value).slice(1, -1) : String(value);
+  });
+};
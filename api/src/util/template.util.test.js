@@ -0,0 +1,37 @@
+const { render } = require('./template.util');
+
+const CONTEXT = {
+  camera: 'front-door',
+  matches: [{ name: 'alice', confidence: 92.5 }],
+  counts: { match: 1, unknown: 0 },
+};
+
+describe('render', () => {
+  it('should replace placeholders with values from the context', () => {
+    expect(render('{{ matches.0.name }} at {{camera}}', CONTEXT)).toBe('alice at front-door');
+    expect(render('{{ matches.0.confidence }}% {{ counts.unknown }}', CONTEXT)).toBe('92.5% 0');
+  });
+
+  it('should render objects as JSON', () => {
+    expect(render('{"counts": {{ counts }}}', CONTEXT)).toBe('{"counts": {"match":1,"unknown":0}}');
+  });
+
+  it('should escape strings placed in a JSON template', () => {
+    const context = { camera: 'front "door"', name: 'C:\\alice' };
+    const output = render('{"camera": "{{ camera }}", "name": "{{ name }}"}', context, {
+      json: true,
+    });
+    expect(JSON.parse(output)).toEqual(context);
+    expect(render('{{ camera }}', context)).toBe('front "door"');
+  });
+
+  it('should render missing values as an empty string', () => {
+    expect(render('[{{ matches.1.name }}][{{ zones }}]', CONTEXT)).toBe('[][]');
+  });
+
+  it('should return values that are not strings as is', () => {
+    const fields = { subject: 'alice' };
+    expect(render(fields, CONTEXT)).toBe(fields);
+    expect(render(undefined, CONTEXT)).toBeUndefined();
+  });
+});
@@ -0,0 +1,121 @@
+const fusion = require('./fusion.util');
+const config = require('../constants/config');
+
+// frames of recent events, kept so later processing runs of the same event add to their votes
+const EVENTS = {};
+const EXPIRE = 60 * 60 * 1000;
+
+/**
+ * Collects the matched names of every frame in a processing run. Results from different
+ * detectors on the same frame count as one frame, keeping the highest confidence per name.
+ *
+ * @param {Array<object>} results - Polling results passed to recognize.util.normalize.
+ * @return {Array<object>} Frames with filename, type and confidence per name.
+ */
+module.exports.frames = (results = []) =>
+  results.flatMap((group) => {
+    const frames = {};
+    fusion.resolve(group.results).forEach(({ filename, results: faces }) => {
+      if (!frames[filename]) frames[filename] = { filename, type: group.type, names: {} };
+      const { names } = frames[filename];
+      faces
+        .filter(({ match }) => match)
+        .forEach(({ name, confidence }) => {
+          if (names[name] === undefined || confidence > names[name]) names[name] = confidence;
+        });
+    });
+    return Object.values(frames).filter(({ names }) => Object.keys(names).length);
+  });
+
+/**
+ * Counts the frames and sums the confidence of every name.
+ *
+ * @param {Array<object>} frames - Frames from `frames()`.
+ * @return {object} Frames and score per name.
+ */
+module.exports.tally = (frames = []) => {
+  const names = {};
+  frames.forEach((frame) =>
+    Object.entries(frame.names).forEach(([name, confidence]) => {
+      if (!names[name]) names[name] = { frames: 0, score: 0 };
+      names[name].frames += 1;
+      names[name].score = parseFloat((names[name].score + confidence).toFixed(2));
+    })
+  );
+  return names;
+};
+
+/**
+ * Decides which names are declared. An event can't hold more people than the most names matched
+ * on a single frame, so names beyond that are ranked by frames and score and the minority is
+ * suppressed. The remaining names are declared once they reach min_frames or min_score.
+ *
+ * @param {object} tally - Tally from `tally()`.
+ * @param {Array<object>} frames - Frames from `frames()`.
+ * @param {object} policy - Voting policy.
+ * @param {number} policy.minFrames - Frames that must agree on a name.
+ * @param {number} policy.minScore - Cumulative confidence that declares a name, 0 to disable.
+ * @return {object} Declared, pending and suppressed names.
+ */
+module.exports.decide = (tally, frames, { minFrames, minScore }) => {
+  const faces = Math.max(0, ...frames.map(({ names }) => Object.keys(names).length));
+  const ranked = Object.keys(tally).sort(
+    (a, b) => tally[b].frames - tally[a].frames || tally[b].score - tally[a].score
+  );
+  const candidates = ranked.slice(0, faces);
+  const declared = candidates.filter(
+    (name) => tally[name].frames >= minFrames || (minScore > 0 && tally[name].score >= minScore)
+  );
+  return {
+    declared,
+    pending: candidates.filter((name) => !declared.includes(name)),
+    suppressed: ranked.slice(faces),
+  };
+};
+
+/**
+ * Adds the frames of a processing run to the votes of its event and removes matches that
+ * aren't declared yet.
+ *
+ * @param {object} options - Options.
+ * @param {string} options.id - Event ID.
+ * @param {string} options.camera - Camera name.
+ * @param {Array<object>} options.results - Polling results passed to recognize.util.normalize.
+ * @param {Array<object>} options.matches - Best matches from recognize.util.normalize.
+ * @return {object} Declared matches and the decision trail, which is null when voting is disabled.
+ */
+module.exports.apply = ({ id, camera, results, matches }) => {
+  const { VOTING } = config.detect(camera);
+  if (!VOTING?.ENABLED) return { matches, votes: null };
+
+  const now = Date.now();
+  Object.keys(EVENTS).forEach((key) => {
+    if (EVENTS[key].expires <= now) delete EVENTS[key];
+  });
+  if (!EVENTS[id]) EVENTS[id] = { frames: [] };
+  EVENTS[id].expires = now + EXPIRE;
+  EVENTS[id].frames.push(...this.frames(results));
+
+  const { frames } = EVENTS[id];
+  const tally = this.tally(frames);
+  const decision = this.decide(tally, frames, {
+    minFrames: VOTING.MIN_FRAMES,
+    minScore: VOTING.MIN_SCORE,
+  });
+  if (decision.pending.length || decision.suppressed.length)
+    console.verbose(
+      `voting ${id}: pending ${decision.pending.join(', ') || 'none'}; suppressed ${
+        decision.suppressed.join(', ') || 'none'
+      }`
+    );
+
+  return {
+    matches: matches.filter(({ name }) => decision.declared.includes(name)),
+    votes: {
+      policy: { min_frames: VOTING.MIN_FRAMES, min_score: VOTING.MIN_SCORE },
+      ...decision,
+      tally,
+      frames,
+    },
+  };
+};
@@ -0,0 +1,52 @@
+const { frames, tally, decide } = require('./voting.util');
+
+const attempt = (filename, detector, faces) => ({ filename, detector, results: faces });
+const face = (name, confidence, match = true) => ({ name, confidence, match });
+
+describe('frames', () => {
+  it('should count results from different detectors on the same image as one frame', () => {
+    const output = frames([
+      {
+        type: 'latest',
+        results: [
+          attempt('a.jpg', 'compreface', [face('alice', 80)]),
+          attempt('a.jpg', 'deepstack', [face('alice', 90)]),
+          attempt('b.jpg', 'compreface', [face('bob', 62)]),
+          attempt('c.jpg', 'compreface', [face('carol', 30, false)]),
+        ],
+      },
+    ]);
+    expect(output).toEqual([
+      { filename: 'a.jpg', type: 'latest', names: { alice: 90 } },
+      { filename: 'b.jpg', type: 'latest', names: { bob: 62 } },
+    ]);
+  });
+});
+
+describe('decide', () => {
+  const policy = { minFrames: 2, minScore: 0 };
+
+  it('should suppress the minority name when frames conflict', () => {
+    const trail = [{ names: { alice: 91 } }, { names: { bob: 62 } }, { names: { alice: 88 } }];
+    expect(decide(tally(trail), trail, policy)).toEqual({
+      declared: ['alice'],
+      pending: [],
+      suppressed: ['bob'],
+    });
+  });
+
+  it('should wait for enough agreeing frames', () => {
+    const trail = [{ names: { alice: 91 } }];
+    expect(decide(tally(trail), trail, policy).pending).toEqual(['alice']);
+  });
+
+  it('should declare a name once its cumulative score is reached', () => {
+    const trail = [{ names: { alice: 91 } }];
+    expect(decide(tally(trail), trail, { minFrames: 2, minScore: 90 }).declared).toEqual(['alice']);
+  });
+
+  it('should keep one name per face matched on a single frame', () => {
+    const trail = [{ names: { alice: 91, bob: 70 } }, { names: { alice: 85, bob: 75 } }];
+    expect(decide(tally(trail), trail, policy).declared).toEqual(['alice', 'bob']);
+  });
+});
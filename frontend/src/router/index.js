@@ -43,6 +43,13 @@ const routes = [
     },
     component: () => import( '@/views/Logs.vue'),
   },
+  {
+    path: '/notifications',
+    meta: {
+      title: 'Notifications',
+    },
+    component: () => import( '@/views/Notifications.vue'),
+  },
   {
     path: '/logout',
     beforeEnter: (to, from, next) => {